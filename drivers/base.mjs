@@ -0,0 +1,1934 @@
+import I2CTransport from '../transports/i2c.mjs';
+import BusLock from '../transports/lock.mjs';
+import GlyphFont from '../fonts/glyph-font.mjs';
+import FontChain from '../fonts/font-chain.mjs';
+
+// glyph bitmaps laid out as page bytes, see _rasterPages()
+const rasterPages = new WeakMap();
+
+// fallback chains already built from a list of fonts, see _glyphFont()
+const chains = new WeakMap();
+
+// Shared base for the page-addressed monochrome controllers. It owns the
+// framebuffer, dirty tracking, drawing primitives and text rendering.
+// Controller drivers extend it and implement _initialise(), _setAddress()
+// and, when the generic one does not fit, update(). Optional features such
+// as scrolling are overridden by the drivers that support them.
+//
+// The framebuffer always follows the panel (PANEL_WIDTH x PANEL_HEIGHT),
+// while WIDTH and HEIGHT are the drawing size for the current rotation.
+class BaseDriver {
+	constructor(i2c, opts) {
+		this.PANEL_HEIGHT = opts.height || 64;
+		this.PANEL_WIDTH = opts.width || 128;
+		// the framebuffer is built from whole pages of 8 rows
+		const size = `${this.PANEL_WIDTH}x${this.PANEL_HEIGHT}`;
+		if (
+			![this.PANEL_WIDTH, this.PANEL_HEIGHT].every(
+				(n) => Number.isInteger(n) && n > 0
+			)
+		) {
+			throw new Error(
+				`Invalid Screen Size ${size}, width and height must be positive integers`
+			);
+		}
+		if (this.PANEL_HEIGHT % 8) {
+			throw new Error(
+				`Invalid Screen Size ${size}, height must be a multiple of 8`
+			);
+		}
+
+		this.HEIGHT = this.PANEL_HEIGHT;
+		this.WIDTH = this.PANEL_WIDTH;
+		this.ADDRESS = opts.address || 0x3c;
+		// per panel overrides of the driver's size profile
+		this.GEOMETRY = opts.geometry;
+		// check the panel size against the driver's size profiles (static
+		// SCREEN_CONFIG) before anything is queued for the bus
+		if (this.constructor.SCREEN_CONFIG) {
+			this.screenConfig = this._resolveScreenConfig(
+				this.constructor.SCREEN_CONFIG
+			);
+		}
+
+		this.MAX_PAGE_COUNT = this.PANEL_HEIGHT / 8;
+		this.LINESPACING = opts.linespacing ?? 1;
+		this.LETTERSPACING = opts.letterspacing ?? 1;
+		// what stands in for characters missing from a font: 'box', 'blank'
+		// or a character from the font to use instead
+		this.MISSING_GLYPH = opts.missingGlyph ?? 'box';
+		if (
+			!['box', 'blank'].includes(this.MISSING_GLYPH) &&
+			Array.from(this.MISSING_GLYPH).length !== 1
+		) {
+			throw new Error('Invalid Missing Glyph');
+		}
+
+		// commands shared by the whole controller family
+		this.DISPLAY_OFF = 0xae;
+		this.DISPLAY_ON = 0xaf;
+		this.SET_CONTRAST_CTRL_MODE = 0x81;
+		this.NORMAL_DISPLAY = 0xa6;
+		this.INVERT_DISPLAY = 0xa7;
+
+		this.cursor_x = 0;
+		this.cursor_y = 0;
+
+		// how drawn pixels combine with the framebuffer, see setDrawMode()
+		this.drawMode = 'normal';
+
+		// drawing origin and clip rectangle (screen coordinates, inclusive),
+		// see translate() and pushClip()
+		this.originX = 0;
+		this.originY = 0;
+		this.clip = null;
+		this.clipStack = [];
+
+		// orientation, applied by _initialise through _orientationSeq()
+		this.ROTATION = 0;
+		this.MIRROR_HORIZONTAL = !!opts.mirrorHorizontal;
+		this.MIRROR_VERTICAL = !!opts.mirrorVertical;
+		this._rotate(opts.rotation || 0);
+
+		// new blank buffer (1 bit per pixel)
+		this.BITS_PER_PIXEL = 1;
+		this.buffer = Buffer.alloc((this.PANEL_WIDTH * this.PANEL_HEIGHT) / 8);
+		this.buffer.fill(0xff);
+		this._clearDirty();
+		// about what opening an address window costs on the bus in bytes, clean
+		// gaps up to this size are resent rather than starting a new window
+		this.WINDOW_COST = 8;
+
+		// frames drawn between beginFrame() and endFrame() are diffed against
+		// the last frame pushed, flushes are held until then
+		this.frameDepth = 0;
+		this.frontBuffer = null;
+
+		this.wire = i2c;
+		// I2C unless another transport (e.g. SPI) is supplied
+		this.transport =
+			opts.transport ||
+			new I2CTransport(i2c, this.ADDRESS, {
+				maxTransferSize: opts.maxTransferSize,
+				mux: opts.mux,
+			});
+		// bus operations from every display on the same bus run one at a time
+		this.lock = this.transport.lock || new BusLock();
+
+		// take the first slot on the bus now so nothing drawn straight after
+		// construction goes out before the init sequence. The lock only calls
+		// in once the previous slot has settled, after the whole constructor
+		// chain has run and the driver's _initialise is in place
+		this.ready = this._exclusive(() => this._initialise());
+	}
+
+	/* ##################################################################################################
+	 * OLED controls
+	 * ##################################################################################################
+	 */
+
+	// Turn OLED on
+	turnOnDisplay = async () => {
+		await this._transfer('cmd', this.DISPLAY_ON);
+	};
+
+	// Turn OLED off
+	turnOffDisplay = async () => {
+		await this._transfer('cmd', this.DISPLAY_OFF);
+	};
+
+	// Send dim display command to oled
+	dimDisplay = async (bool) => {
+		const contrast = bool ? 0 : 0xff; // Dimmed display if true, bright display if false
+
+		await this._transfer('cmd', [this.SET_CONTRAST_CTRL_MODE, contrast]);
+	};
+
+	// Invert pixels on oled
+	invertDisplay = async (bool) => {
+		if (bool) {
+			await this._transfer('cmd', this.INVERT_DISPLAY); // inverted
+		} else {
+			await this._transfer('cmd', this.NORMAL_DISPLAY); // non inverted
+		}
+	};
+
+	// Rotate the drawing area clockwise by 0, 90, 180 or 270 degrees
+	setRotation = async (rotation) => {
+		this._rotate(rotation);
+		await this._sendOrientation();
+	};
+
+	// Mirror the display horizontally and/or vertically
+	setMirror = async (horizontal, vertical) => {
+		this.MIRROR_HORIZONTAL = !!horizontal;
+		this.MIRROR_VERTICAL = !!vertical;
+		await this._sendOrientation();
+	};
+
+	// Activate scrolling for rows start through stop
+	startScroll = async (_dir, _start, _stop) => {
+		console.log(`${this.constructor.name} does not support this command`);
+	};
+
+	// Stop scrolling display contents
+	stopScroll = async () => {
+		console.log(`${this.constructor.name} does not support this command`);
+	};
+
+	// start drawing a frame, drawing methods stop flushing until endFrame()
+	beginFrame = () => {
+		this.frameDepth++;
+	};
+
+	// finish a frame and send only the bytes that differ from the last one
+	endFrame = async () => {
+		this.frameDepth = Math.max(0, this.frameDepth - 1);
+		if (this.frameDepth) {
+			return;
+		}
+
+		// the first frame, or the first since something else was sent, has
+		// nothing to compare against and goes out whole
+		this._clearDirty();
+		for (let i = 0; i < this.buffer.length; i++) {
+			if (!this.frontBuffer || this.buffer[i] !== this.frontBuffer[i]) {
+				this._markDirty(i);
+			}
+		}
+		const frame = Buffer.from(this.buffer);
+
+		await this._updateDirtyBytes();
+		// sending dropped the last frame, this one is on the panel now
+		this.frontBuffer = frame;
+	};
+
+	// send the entire framebuffer to the oled, one page at a time
+	update = async () => {
+		await this._exclusive(async () => {
+			// wait for oled to be ready
+			await this._waitUntilReady();
+
+			for (let page = 0; page < this.MAX_PAGE_COUNT; page++) {
+				const start = page * this.PANEL_WIDTH;
+
+				await this._setAddress(page, 0, this.PANEL_WIDTH);
+				await this._transfer(
+					'data',
+					this.buffer.subarray(start, start + this.PANEL_WIDTH)
+				);
+			}
+		});
+	};
+
+	/* ##################################################################################################
+	 * OLED drawings
+	 * ##################################################################################################
+	 */
+
+	// clear all pixels currently on the display
+	clearDisplay = async (sync) => {
+		for (let i = 0; i < this.buffer.length; i += 1) {
+			if (this.buffer[i] !== 0x00) {
+				this.buffer[i] = 0x00;
+				this._markDirty(i);
+			}
+		}
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// choose how drawing combines with what is already in the framebuffer:
+	// 'normal' pixels take the color, 'set', 'clear' and 'xor' turn on, turn
+	// off or invert the framebuffer under lit pixels and leave the rest
+	setDrawMode = (mode) => {
+		if (!['normal', 'set', 'clear', 'xor'].includes(mode)) {
+			throw new Error('Invalid Draw Mode');
+		}
+		this.drawMode = mode;
+	};
+
+	// set starting position of a text string on the oled
+	setCursor = (x, y) => {
+		this.cursor_x = x;
+		this.cursor_y = y;
+	};
+
+	// move the drawing origin, later coordinates are relative to it
+	translate = (dx, dy) => {
+		this.originX += dx;
+		this.originY += dy;
+	};
+
+	// limit drawing to a rectangle in the current coordinates. Clips nest, the
+	// new one is cut down to the one already active. popClip() restores the
+	// clip and origin in place when this one was pushed.
+	pushClip = (x, y, w, h) => {
+		this.clipStack.push({
+			clip: this.clip,
+			originX: this.originX,
+			originY: this.originY,
+		});
+
+		let x0 = this.originX + x;
+		let y0 = this.originY + y;
+		let x1 = x0 + w - 1;
+		let y1 = y0 + h - 1;
+		if (this.clip) {
+			x0 = Math.max(x0, this.clip.x0);
+			y0 = Math.max(y0, this.clip.y0);
+			x1 = Math.min(x1, this.clip.x1);
+			y1 = Math.min(y1, this.clip.y1);
+		}
+		this.clip = { x0, y0, x1, y1 };
+	};
+
+	// drop the last clip pushed
+	popClip = () => {
+		if (!this.clipStack.length) {
+			throw new Error('Clip Stack Is Empty');
+		}
+		const { clip, originX, originY } = this.clipStack.pop();
+		this.clip = clip;
+		this.originX = originX;
+		this.originY = originY;
+	};
+
+	// read the value of a pixel from the framebuffer, in screen coordinates
+	getPixel = (x, y) => {
+		if (x < 0 || x >= this.WIDTH || y < 0 || y >= this.HEIGHT) {
+			return 0;
+		}
+		const [px, py] = this._toPanel(x, y);
+		const page = Math.floor(py / 8);
+		return (this.buffer[px + this.PANEL_WIDTH * page] >> (py - 8 * page)) & 1;
+	};
+
+	// write a single page column straight to the oled
+	drawPageCol = async (page, col, byte) => {
+		await this._exclusive(async () => {
+			// wait for oled to be ready
+			await this._waitUntilReady();
+
+			// set the start and end byte locations for oled display update
+			const bufferIndex = col + page * this.PANEL_WIDTH;
+			this.buffer[bufferIndex] = byte;
+
+			await this._setAddress(page, col);
+			await this._transfer('data', this.buffer[bufferIndex]);
+		});
+	};
+
+	// buffer/ram test
+	drawPageSeg = async (page, seg, byte, sync) => {
+		if (
+			page < 0 ||
+			page >= this.MAX_PAGE_COUNT ||
+			seg < 0 ||
+			seg >= this.PANEL_WIDTH
+		) {
+			return;
+		}
+
+		// wait for oled to be ready
+		await this._waitUntilReady();
+
+		// set the start and end byte locations for oled display update
+		const bufferIndex = seg + page * this.PANEL_WIDTH;
+		this.buffer[bufferIndex] = byte;
+
+		this._markDirty(bufferIndex);
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw one or many pixels on oled
+	drawPixel = async (pixels, sync) => {
+		// handle lazy single pixel case
+		if (typeof pixels[0] !== 'object') {
+			pixels = [pixels];
+		}
+
+		pixels.forEach((el) => {
+			// return if the pixel is out of range
+			const x = el[0];
+			const y = el[1];
+			const color = el[2];
+
+			const point = this._clipPoint(x, y);
+			if (!point) {
+				return;
+			}
+
+			const [px, py] = this._toPanel(...point);
+			let byte = 0;
+			const page = Math.floor(py / 8);
+			const pageShift = 0x01 << (py - 8 * page);
+
+			// is the pixel on the first row of the page?
+			if (page === 0) {
+				byte = px;
+			} else {
+				byte = px + this.PANEL_WIDTH * page;
+			}
+
+			// colors! Well, monochrome.
+			const lit = !(color === 'BLACK' || !color);
+			if (!lit && this.drawMode !== 'normal') {
+				// unlit pixels are transparent outside normal mode
+				return;
+			}
+			this.buffer[byte] = this._blendBits(this.buffer[byte], pageShift, lit);
+
+			// push byte to dirty if not already there
+			this._markDirty(byte);
+		});
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// using Bresenham's line algorithm
+	drawLine = async (x0, y0, x1, y1, color, sync = true) => {
+		const dx = Math.abs(x1 - x0),
+			sx = x0 < x1 ? 1 : -1;
+		const dy = Math.abs(y1 - y0),
+			sy = y0 < y1 ? 1 : -1;
+		let err = (dx > dy ? dx : -dy) / 2;
+
+		while (true) {
+			await this.drawPixel([x0, y0, color], false);
+
+			if (x0 === x1 && y0 === y1) break;
+
+			const e2 = err;
+
+			if (e2 > -dx) {
+				err -= dy;
+				x0 += sx;
+			}
+			if (e2 < dy) {
+				err += dx;
+				y0 += sy;
+			}
+		}
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw a filled rectangle on the oled
+	fillRect = async (x, y, w, h, color, sync = true) => {
+		// one iteration for each column of the rectangle
+		for (let i = x; i < x + w; i += 1) {
+			// draws a vert line
+			await this.drawLine(i, y, i, y + h - 1, color, false);
+		}
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw a rectangle outline
+	drawRect = async (x, y, w, h, color, sync = true) => {
+		if (w > 0 && h > 0) {
+			await this.drawPolygon(
+				[
+					[x, y],
+					[x + w - 1, y],
+					[x + w - 1, y + h - 1],
+					[x, y + h - 1],
+				],
+				color,
+				false
+			);
+		}
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw a rectangle outline with rounded corners of radius r
+	drawRoundRect = async (x, y, w, h, r, color, sync = true) => {
+		if (w > 0 && h > 0) {
+			r = this._cornerRadius(w, h, r);
+			const [left, top] = [x + r, y + r];
+			const [right, bottom] = [x + w - 1 - r, y + h - 1 - r];
+			const points = [];
+
+			// straight edges between the corners
+			this._linePoints(left, y, right, y, points);
+			this._linePoints(left, y + h - 1, right, y + h - 1, points);
+			this._linePoints(x, top, x, bottom, points);
+			this._linePoints(x + w - 1, top, x + w - 1, bottom, points);
+
+			this._circlePoints(r, (cx, cy) => {
+				points.push(
+					[right + cx, bottom + cy],
+					[right + cy, bottom + cx],
+					[left - cx, bottom + cy],
+					[left - cy, bottom + cx],
+					[right + cx, top - cy],
+					[right + cy, top - cx],
+					[left - cx, top - cy],
+					[left - cy, top - cx]
+				);
+			});
+			await this._drawPoints(points, color);
+		}
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw a filled rectangle with rounded corners of radius r
+	fillRoundRect = async (x, y, w, h, r, color, sync = true) => {
+		if (w > 0 && h > 0) {
+			r = this._cornerRadius(w, h, r);
+			const [left, top] = [x + r, y + r];
+			const [right, bottom] = [x + w - 1 - r, y + h - 1 - r];
+			const spans = new Map();
+
+			// full width between the corners
+			for (let row = top; row <= bottom; row++) {
+				this._addSpan(spans, row, x, x + w - 1);
+			}
+			this._circlePoints(r, (cx, cy) => {
+				this._addSpan(spans, top - cy, left - cx, right + cx);
+				this._addSpan(spans, top - cx, left - cy, right + cy);
+				this._addSpan(spans, bottom + cy, left - cx, right + cx);
+				this._addSpan(spans, bottom + cx, left - cy, right + cy);
+			});
+			await this._drawSpans(spans, color);
+		}
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw a triangle outline
+	drawTriangle = async (x0, y0, x1, y1, x2, y2, color, sync = true) => {
+		await this.drawPolygon(
+			[
+				[x0, y0],
+				[x1, y1],
+				[x2, y2],
+			],
+			color,
+			sync
+		);
+	};
+
+	// draw a filled triangle
+	fillTriangle = async (x0, y0, x1, y1, x2, y2, color, sync = true) => {
+		await this.fillPolygon(
+			[
+				[x0, y0],
+				[x1, y1],
+				[x2, y2],
+			],
+			color,
+			sync
+		);
+	};
+
+	// draw the closed outline through a list of [x, y] points
+	drawPolygon = async (points, color, sync = true) => {
+		await this._drawPoints(this._outlinePoints(points), color);
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// fill the polygon through a list of [x, y] points, scanline by scanline
+	// with the even-odd rule. The outline is part of the shape.
+	fillPolygon = async (points, color, sync = true) => {
+		const pixels = this._outlinePoints(points);
+		const ys = points.map((p) => p[1]);
+		// rows outside the panel or clip are never drawn
+		const view = this._visibleBounds();
+		const top = Math.max(Math.min(...ys), view.y0);
+		const bottom = Math.min(Math.max(...ys), view.y1);
+
+		for (let y = top; y <= bottom; y++) {
+			// x of every edge crossing this row, an edge owns its upper end only
+			const crossings = [];
+			for (let i = 0; i < points.length; i++) {
+				const [xa, ya] = points[i];
+				const [xb, yb] = points[(i + 1) % points.length];
+				if (y >= Math.min(ya, yb) && y < Math.max(ya, yb)) {
+					crossings.push(xa + ((y - ya) * (xb - xa)) / (yb - ya));
+				}
+			}
+			crossings.sort((a, b) => a - b);
+
+			for (let i = 0; i + 1 < crossings.length; i += 2) {
+				const x0 = Math.max(Math.ceil(crossings[i]), view.x0);
+				const x1 = Math.min(Math.floor(crossings[i + 1]), view.x1);
+				for (let x = x0; x <= x1; x++) {
+					pixels.push([x, y]);
+				}
+			}
+		}
+		await this._drawPoints(pixels, color);
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw a circle outline, using the midpoint circle algorithm
+	drawCircle = async (x0, y0, r, color, sync = true) => {
+		const points = [];
+		this._circlePoints(r, (x, y) => {
+			points.push(
+				[x0 + x, y0 + y],
+				[x0 - x, y0 + y],
+				[x0 + x, y0 - y],
+				[x0 - x, y0 - y],
+				[x0 + y, y0 + x],
+				[x0 - y, y0 + x],
+				[x0 + y, y0 - x],
+				[x0 - y, y0 - x]
+			);
+		});
+		await this._drawPoints(points, color);
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw a filled circle
+	fillCircle = async (x0, y0, r, color, sync = true) => {
+		const spans = new Map();
+		this._circlePoints(r, (x, y) => {
+			this._addSpan(spans, y0 + y, x0 - x, x0 + x);
+			this._addSpan(spans, y0 - y, x0 - x, x0 + x);
+			this._addSpan(spans, y0 + x, x0 - y, x0 + y);
+			this._addSpan(spans, y0 - x, x0 - y, x0 + y);
+		});
+		await this._drawSpans(spans, color);
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw an ellipse outline with radii rx and ry
+	drawEllipse = async (x0, y0, rx, ry, color, sync = true) => {
+		const points = [];
+		this._ellipsePoints(rx, ry, (x, y) => {
+			points.push(
+				[x0 + x, y0 + y],
+				[x0 - x, y0 + y],
+				[x0 + x, y0 - y],
+				[x0 - x, y0 - y]
+			);
+		});
+		await this._drawPoints(points, color);
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw a filled ellipse with radii rx and ry
+	fillEllipse = async (x0, y0, rx, ry, color, sync = true) => {
+		const spans = new Map();
+		this._ellipsePoints(rx, ry, (x, y) => {
+			this._addSpan(spans, y0 + y, x0 - x, x0 + x);
+			this._addSpan(spans, y0 - y, x0 - x, x0 + x);
+		});
+		await this._drawSpans(spans, color);
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw an arc of a circle from startAngle to endAngle, in degrees clockwise
+	// from 3 o'clock. With fill the pie slice is filled.
+	drawArc = async (
+		x0,
+		y0,
+		r,
+		startAngle,
+		endAngle,
+		color,
+		fill,
+		sync = true
+	) => {
+		const inArc = this._angleTest(startAngle, endAngle);
+		const points = [];
+
+		this._circlePoints(r, (x, y) => {
+			[
+				[x, y],
+				[-x, y],
+				[x, -y],
+				[-x, -y],
+				[y, x],
+				[-y, x],
+				[y, -x],
+				[-y, -x],
+			].forEach(([dx, dy]) => {
+				if (inArc(dx, dy)) {
+					points.push([x0 + dx, y0 + dy]);
+				}
+			});
+		});
+
+		if (fill && r >= 0) {
+			// everything inside the outline that falls within the angles
+			const limit = (r + 0.5) * (r + 0.5);
+			for (let dy = -r; dy <= r; dy++) {
+				for (let dx = -r; dx <= r; dx++) {
+					if (dx * dx + dy * dy <= limit && inArc(dx, dy)) {
+						points.push([x0 + dx, y0 + dy]);
+					}
+				}
+			}
+		}
+		await this._drawPoints(points, color);
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// write text to the oled, in a fixed width oled-font-pack font or a
+	// proportional font (see fonts/glyph-font.mjs). With opts the text is
+	// laid out in a box from the cursor, opts.width and opts.height (default
+	// to the edge of the clip or panel), aligned by opts.align ('left',
+	// 'center', 'right') and opts.valign ('top', 'middle', 'bottom').
+	// opts.rotation turns the text clockwise by 90, 180 or 270 degrees and
+	// opts.direction 'vertical' stacks upright glyphs down the screen.
+	writeString = async (
+		font,
+		size,
+		string,
+		color = 1,
+		wrap,
+		sync,
+		opts = {}
+	) => {
+		const immed = typeof sync === 'undefined' ? true : sync;
+		font = this._glyphFont(font);
+		const align = opts.align || 'left';
+		const valign = opts.valign || 'top';
+		if (!['left', 'center', 'right'].includes(align)) {
+			throw new Error('Invalid Text Alignment');
+		}
+		if (!['top', 'middle', 'bottom'].includes(valign)) {
+			throw new Error('Invalid Text Alignment');
+		}
+
+		const anchor = this._textAnchor(opts);
+		const layout = anchor.vertical
+			? this._layoutColumns(font, size, string, wrap, anchor.right)
+			: this._layoutText(
+					font,
+					size,
+					string,
+					wrap,
+					anchor.start,
+					anchor.left,
+					anchor.right
+			  );
+		const metrics = this._textMetrics(size, layout);
+
+		// align along the lines and across them, in the text's own direction:
+		// down a vertical column is what across is for horizontal text
+		const position = (value, room) => {
+			if (['center', 'middle'].includes(value)) {
+				return Math.floor(room / 2);
+			}
+			return ['right', 'bottom'].includes(value) ? room : 0;
+		};
+		const along = anchor.vertical ? valign : align;
+		const across = anchor.vertical ? align : valign;
+
+		// shift the block across and each line along to align it
+		const top = anchor.top + position(across, anchor.depth - metrics.height);
+		let shift = 0;
+		for (let l = 0; l < layout.lines.length; l += 1) {
+			const line = layout.lines[l];
+			const y = top + l * layout.lineHeight;
+			const room = anchor.right - anchor.left - this._lineWidth(size, line);
+			shift = position(along, room);
+
+			for (const { x, glyph } of line.glyphs) {
+				if (glyph) {
+					const raster = GlyphFont.raster(
+						glyph,
+						size,
+						opts.smooth,
+						anchor.rotation
+					);
+					const [gx, gy] = this._glyphPosition(
+						font,
+						glyph,
+						size,
+						anchor,
+						x + shift,
+						y
+					);
+					await this._drawRaster(raster, gx, gy, color);
+				}
+			}
+		}
+
+		// the cursor ends up after the last char, ready for more text
+		const lastLine = layout.lines.length - 1;
+		this.setCursor(
+			...this._textPoint(
+				anchor,
+				layout.x + shift,
+				top + lastLine * layout.lineHeight
+			)
+		);
+
+		if (immed) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// how text would be laid out by writeString from the left of the clip or
+	// panel: the width and height of the block on the screen and the text of
+	// every line. opts.wrap wraps it like writeString does, at opts.width
+	// (opts.height for text running up or down the screen), which defaults
+	// to the size of the clip or panel. opts.rotation and opts.direction
+	// are as for writeString.
+	measureText = (font, size, string, opts = {}) => {
+		font = this._glyphFont(font);
+		const { rotation, vertical } = this._textDirection(opts);
+		const turned = vertical || rotation % 180;
+		const view = this._visibleBounds();
+		const clip = this.clip || { x0: 0, y0: 0 };
+		const length = turned
+			? opts.height ?? view.y1 + 1 - (clip.y0 - this.originY)
+			: opts.width ?? view.x1 + 1 - (clip.x0 - this.originX);
+
+		const layout = vertical
+			? this._layoutColumns(font, size, string, opts.wrap, length)
+			: this._layoutText(font, size, string, opts.wrap, 0, 0, length);
+		const metrics = this._textMetrics(size, layout);
+		if (turned) {
+			// lines run up or down the screen
+			[metrics.width, metrics.height] = [metrics.height, metrics.width];
+		}
+		return metrics;
+	};
+
+	// write text word wrapped inside the box x, y, w, h. opts.font is
+	// required; opts.size (default 1), opts.color (default 1), opts.align,
+	// opts.valign and opts.smooth are as for writeString. Text that does not
+	// fit first shrinks down to opts.minSize when opts.shrink is set, then
+	// is cut to the lines that fit (at most opts.maxLines), the last one
+	// ending in opts.ellipsis ('...' by default, false for none). Returns
+	// the lines drawn, the size used and whether text was cut.
+	drawTextBox = async (x, y, w, h, text, opts = {}) => {
+		if (!opts.font) {
+			throw new Error('Invalid Font');
+		}
+		const font = this._glyphFont(opts.font);
+		const size = opts.size || 1;
+		const minSize = opts.shrink ? opts.minSize || 1 : size;
+		const ellipsis = opts.ellipsis ?? '...';
+
+		// largest size that fits, or the smallest allowed
+		let fit;
+		for (let s = size; s >= Math.min(minSize, size); s -= 1) {
+			fit = this._fitTextBox(font, s, text, w, h, opts.maxLines);
+			if (!fit.truncated) {
+				break;
+			}
+		}
+
+		// shorten text until it fits the width with end after it, then end
+		// itself, for boxes too narrow for even that
+		const clamp = (text, end = '') => {
+			const chars = Array.from(text);
+			const tail = Array.from(end);
+			const joined = () => chars.join('').trimEnd() + tail.join('');
+			while (joined() && this._textWidth(font, fit.size, joined()) > w) {
+				(chars.length ? chars : tail).pop();
+			}
+			return joined();
+		};
+		let lines = fit.lines.map((line) => clamp(line.text));
+		if (fit.truncated && ellipsis && lines.length) {
+			const last = lines.length - 1;
+			lines[last] = clamp(fit.lines[last].text, ellipsis);
+		}
+		// lines with nothing left that fits are dropped, blank ones kept
+		lines = lines.filter((line, i) => line || !fit.lines[i].text.trim());
+
+		// drawn without moving the cursor, and never outside the box
+		const cursor = [this.cursor_x, this.cursor_y];
+		this.pushClip(x, y, w, h);
+		try {
+			this.setCursor(x, y);
+			await this.writeString(
+				font,
+				fit.size,
+				lines.join('\n'),
+				opts.color ?? 1,
+				false,
+				false,
+				{
+					width: w,
+					height: h,
+					align: opts.align,
+					valign: opts.valign,
+					smooth: opts.smooth,
+				}
+			);
+		} finally {
+			this.popClip();
+			this.setCursor(...cursor);
+		}
+
+		if (opts.sync ?? true) {
+			await this._updateDirtyBytes();
+		}
+
+		return {
+			lines: lines.map((line) => ({
+				text: line,
+				width: this._textWidth(font, fit.size, line),
+			})),
+			size: fit.size,
+			truncated: fit.truncated,
+		};
+	};
+
+	// draw an RGBA image at the specified coordinates
+	drawRGBAImage = async (image, dx, dy, sync) => {
+		const immed = typeof sync === 'undefined' ? true : sync;
+
+		// the page layout shortcut below only holds when the panel is not turned
+		// sideways and nothing is clipped, otherwise go pixel by pixel
+		if (this.ROTATION % 180 || this.clip) {
+			for (let y = 0; y < image.height; y++) {
+				for (let x = 0; x < image.width; x++) {
+					const dataIndex = (image.width * y + x) << 2; // 4 bytes per pixel (RGBA)
+					if (!image.data[dataIndex + 3]) {
+						// transparent, continue to next pixel
+						continue;
+					}
+					const bit =
+						image.data[dataIndex] ||
+						image.data[dataIndex + 1] ||
+						image.data[dataIndex + 2];
+					await this.drawPixel([dx + x, dy + y, bit], false);
+				}
+			}
+
+			if (immed) {
+				await this._updateDirtyBytes();
+			}
+			return;
+		}
+
+		// the shortcut works in screen coordinates
+		dx += this.originX;
+		dy += this.originY;
+
+		// translate image data to buffer
+		let x, y, dataIndex, buffIndex, buffByte, bit, pixelByte;
+		const dyp = this.WIDTH * Math.floor(dy / 8); // calc once
+		const dxyp = dyp + dx;
+		for (x = 0; x < image.width; x++) {
+			const dxx = dx + x;
+			if (dxx < 0 || dxx >= this.WIDTH) {
+				// negative, off the screen
+				continue;
+			}
+			// start buffer index for image column
+			buffIndex = x + dxyp;
+			buffByte = this.buffer[buffIndex];
+			for (y = 0; y < image.height; y++) {
+				const dyy = dy + y; // calc once
+				if (dyy < 0 || dyy >= this.HEIGHT) {
+					// negative, off the screen
+					continue;
+				}
+				const dyyp = Math.floor(dyy / 8); // calc once
+
+				// check if start of buffer page
+				if (!(dyy % 8)) {
+					// check if we need to save previous byte
+					if ((x || y) && buffByte !== this.buffer[buffIndex]) {
+						// save current byte and get next buffer byte
+						this.buffer[buffIndex] = buffByte;
+						this._markDirty(buffIndex);
+					}
+					// new buffer page
+					buffIndex = dx + x + this.WIDTH * dyyp;
+					buffByte = this.buffer[buffIndex];
+				}
+
+				// process pixel into buffer byte
+				dataIndex = (image.width * y + x) << 2; // 4 bytes per pixel (RGBA)
+				if (!image.data[dataIndex + 3]) {
+					// transparent, continue to next pixel
+					continue;
+				}
+
+				pixelByte = 0x01 << (dyy - 8 * dyyp);
+				bit =
+					image.data[dataIndex] ||
+					image.data[dataIndex + 1] ||
+					image.data[dataIndex + 2];
+				buffByte = this._blendBits(buffByte, pixelByte, bit);
+			}
+			if ((x || y) && buffByte !== this.buffer[buffIndex]) {
+				// save current byte
+				this.buffer[buffIndex] = buffByte;
+				this._markDirty(buffIndex);
+			}
+		}
+
+		if (immed) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw an image pixel array on the screen
+	drawBitmap = async (pixels, sync) => {
+		let x;
+		let y;
+
+		for (let i = 0; i < pixels.length; i++) {
+			x = Math.floor(i % this.WIDTH);
+			y = Math.floor(i / this.WIDTH);
+
+			await this.drawPixel([x, y, pixels[i]], false);
+		}
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	/* ##################################################################################################
+	 * Private utilities
+	 * ##################################################################################################
+	 */
+
+	// writes both commands and data buffers to this device, val is a single
+	// byte or a whole sequence sent as one stream
+	_transfer = async (type, val) => {
+		await this._exclusive(async () => {
+			const bytes = typeof val === 'number' ? [val] : val;
+
+			if (type === 'data') {
+				// the panel no longer shows the last frame, see endFrame()
+				this.frontBuffer = null;
+				await this.transport.data(bytes);
+			} else if (type === 'cmd') {
+				await this.transport.command(bytes);
+			}
+		});
+	};
+
+	// read the status byte from the oled
+	_readStatus = async () => {
+		return this._exclusive(() => this.transport.read());
+	};
+
+	// run a sequence of bus operations without other callers cutting in,
+	// wrap multi-step sequences such as an address window and its data
+	_exclusive = async (fn) => {
+		return this.lock.run(fn);
+	};
+
+	// sometimes the oled gets a bit busy with lots of bytes.
+	// Read the response byte to see if this is the case
+	_waitUntilReady = async () => {
+		const tick = async () => {
+			const byte = await this._readStatus();
+			const busy = (byte >> 7) & 1;
+			if (!busy) {
+				return;
+			} else {
+				await new Promise((resolve) => setTimeout(resolve, 0));
+				await tick();
+			}
+		};
+		await tick();
+	};
+
+	// break text into lines the way writeString always has: words move to
+	// the next line when they would pass right, long words break between
+	// letters, '\n' starts a new line. Lines after the first start at left.
+	// With exact set, a word or letter only moves on when its own width
+	// would pass right, as text boxes measure. Returns the lines, with every
+	// char's x, and the x the cursor ends at.
+	_layoutText = (font, size, string, wrap, x, left, right, exact = false) => {
+		// composed forms, so an accent typed as a combining mark lands on its
+		// letter's precomposed glyph
+		const wordArr = string.normalize('NFC').split(' ');
+		const len = wordArr.length;
+		const lines = [];
+		let line = { x, glyphs: [], wrapped: false };
+		// start x offset at cursor pos
+		let offset = x;
+		// previous char on the line, for kerning
+		let previous = null;
+
+		const newLine = (wrapped) => {
+			lines.push(line);
+			offset = left;
+			previous = null;
+			line = { x: left, glyphs: [], wrapped };
+		};
+
+		// loop through words
+		for (let w = 0; w < len; w += 1) {
+			// put the word space back in for all in between words or empty words
+			if (w < len - 1 || !wordArr[w].length) {
+				wordArr[w] += ' ';
+			}
+			// by code point, so surrogate pairs stay together
+			const stringArr = Array.from(wordArr[w]);
+			const wordWidth = stringArr.reduce(
+				(width, c) => width + this._resolveGlyph(font, c).advance * size,
+				0
+			);
+			const compare = wordWidth + size * (len - 1);
+
+			// wrap words if necessary
+			if (wrap && exact) {
+				// the word up to any line break, without its space
+				const breakAt = stringArr.indexOf('\n');
+				const word = (
+					breakAt < 0 ? stringArr : stringArr.slice(0, breakAt)
+				).filter((c) => c !== ' ');
+				const ownWidth = word.reduce(
+					(width, c) =>
+						width +
+						this._resolveGlyph(font, c).advance * size +
+						this.LETTERSPACING,
+					-this.LETTERSPACING
+				);
+				if (word.length && line.glyphs.length && offset + ownWidth > right) {
+					newLine(true);
+				}
+			} else if (wrap && len > 1 && w > 0 && offset >= right - compare) {
+				newLine(true);
+			}
+
+			// loop through the array of each char to place
+			for (const c of stringArr) {
+				if (c === '\n') {
+					newLine(false);
+				} else {
+					const { glyph, advance } = this._resolveGlyph(font, c);
+					// break a word too long for the line before the letter that
+					// would pass right
+					if (
+						wrap &&
+						exact &&
+						c !== ' ' &&
+						line.glyphs.length &&
+						offset + advance * size > right
+					) {
+						newLine(true);
+					}
+					offset += font.kern(previous, c) * size;
+					previous = c;
+					line.glyphs.push({ c, x: offset, glyph, advance });
+
+					// calc new x position for the next char, add a touch of padding too if it's a non space char
+					offset += advance * size + this.LETTERSPACING;
+
+					// wrap letters if necessary
+					if (
+						wrap &&
+						!exact &&
+						offset >= right - font.width - this.LETTERSPACING
+					) {
+						newLine(true);
+					}
+				}
+			}
+		}
+		lines.push(line);
+
+		return {
+			lines,
+			x: offset,
+			lineHeight: font.height * size + this.LINESPACING,
+		};
+	};
+
+	// a list of fonts is drawn as a fallback chain, built once per list
+	_glyphFont = (font) => {
+		if (!Array.isArray(font)) {
+			return GlyphFont.from(font);
+		}
+		if (!chains.has(font)) {
+			chains.set(font, new FontChain(font));
+		}
+		return chains.get(font);
+	};
+
+	// the glyph drawn for c, if any, and how far it moves the cursor. Chars
+	// missing from the font are replaced as set by opts.missingGlyph,
+	// whitespace stays blank.
+	_resolveGlyph = (font, c) => {
+		let glyph = font.glyph(c);
+		if (!glyph && !/\s/.test(c) && this.MISSING_GLYPH !== 'blank') {
+			glyph =
+				(this.MISSING_GLYPH !== 'box' && font.glyph(this.MISSING_GLYPH)) ||
+				font.missingGlyph();
+		}
+		return { glyph, advance: glyph ? glyph.advance : font.advance(c) };
+	};
+
+	// the text rotation and direction in opts
+	_textDirection = (opts) => {
+		const rotation = opts.rotation || 0;
+		const direction = opts.direction || 'horizontal';
+		if (![0, 90, 180, 270].includes(rotation)) {
+			throw new Error('Invalid Text Rotation');
+		}
+		if (!['horizontal', 'vertical'].includes(direction)) {
+			throw new Error('Invalid Text Direction');
+		}
+		// vertical text stacks upright glyphs, it is not turned
+		if (direction === 'vertical' && rotation) {
+			throw new Error('Invalid Text Rotation');
+		}
+		return { rotation, vertical: direction === 'vertical' };
+	};
+
+	// where writeString lays text out. Text is laid out in its own
+	// coordinates, along the lines and across them, then turned onto the
+	// screen about the anchor point x, y. Lines start at start (the first)
+	// or left and wrap at right, the first line's top is at top and depth
+	// is the room across the lines for aligning.
+	_textAnchor = (opts) => {
+		const { rotation, vertical } = this._textDirection(opts);
+		const view = this._visibleBounds();
+		const boxed = ['width', 'height', 'align', 'valign'].some(
+			(key) => opts[key] !== undefined
+		);
+		const anchor = { rotation, vertical, start: 0, left: 0, top: 0, depth: 0 };
+
+		if (boxed) {
+			// the box starts at the cursor, the text is turned to fit it
+			const x = this.cursor_x;
+			const y = this.cursor_y;
+			const width = opts.width ?? view.x1 + 1 - x;
+			const height = opts.height ?? view.y1 + 1 - y;
+			const turned = vertical || rotation % 180;
+			anchor.right = turned ? height : width;
+			anchor.depth = turned ? width : height;
+			[anchor.x, anchor.y] = {
+				90: [x + width - 1, y],
+				180: [x + width - 1, y + height - 1],
+				270: [x, y + height - 1],
+			}[rotation] || [x, y];
+			return anchor;
+		}
+
+		if (!rotation && !vertical) {
+			// screen coordinates, lines wrap inside the clip rectangle or the
+			// panel without one
+			anchor.x = 0;
+			anchor.y = 0;
+			anchor.start = this.cursor_x;
+			anchor.top = this.cursor_y;
+			anchor.left = this.clip ? this.clip.x0 - this.originX : 0;
+			anchor.right = view.x1 + 1;
+			return anchor;
+		}
+
+		// turned about the cursor, lines wrap at the edge they run towards
+		anchor.x = this.cursor_x;
+		anchor.y = this.cursor_y;
+		anchor.right =
+			{
+				90: view.y1 + 1 - this.cursor_y,
+				180: this.cursor_x - view.x0 + 1,
+				270: this.cursor_y - view.y0 + 1,
+			}[rotation] ?? view.y1 + 1 - this.cursor_y;
+		return anchor;
+	};
+
+	// screen coordinates of the point u along and v across the text
+	_textPoint = (anchor, u, v) => {
+		if (anchor.vertical) {
+			return [anchor.x + v, anchor.y + u];
+		}
+		switch (anchor.rotation) {
+			case 90:
+				return [anchor.x - v, anchor.y + u];
+			case 180:
+				return [anchor.x - u, anchor.y - v];
+			case 270:
+				return [anchor.x + v, anchor.y - u];
+			default:
+				return [anchor.x + u, anchor.y + v];
+		}
+	};
+
+	// screen top left of a glyph placed at u along and v across the text,
+	// v being the top of its line
+	_glyphPosition = (font, glyph, size, anchor, u, v) => {
+		// the glyph box hangs off the baseline
+		const drop = (font.baseline + glyph.yOffset) * size;
+
+		if (anchor.vertical) {
+			// upright, centred across the column
+			const centre = Math.floor(((font.width - glyph.advance) * size) / 2);
+			return [
+				anchor.x + v + centre + glyph.xOffset * size,
+				anchor.y + u + drop,
+			];
+		}
+
+		const x = u + glyph.xOffset * size;
+		const y = v + drop;
+
+		// the box corner that ends up top left once turned
+		const width = glyph.width * size;
+		const height = glyph.height * size;
+		const corner = {
+			90: [x, y + height - 1],
+			180: [x + width - 1, y + height - 1],
+			270: [x + width - 1, y],
+		}[anchor.rotation] || [x, y];
+		return this._textPoint(anchor, ...corner);
+	};
+
+	// lay text out in columns of upright glyphs: each char takes a line
+	// height down the column, a new column starts on '\n' or, when wrapping,
+	// once the next char would pass length. Same shape as _layoutText, with
+	// lines for columns.
+	_layoutColumns = (font, size, string, wrap, length) => {
+		const step = font.height * size;
+		const lines = [];
+		let line = { x: 0, glyphs: [], wrapped: false };
+		let offset = 0;
+
+		const newLine = (wrapped) => {
+			lines.push(line);
+			offset = 0;
+			line = { x: 0, glyphs: [], wrapped };
+		};
+
+		for (const c of Array.from(string.normalize('NFC'))) {
+			if (c === '\n') {
+				newLine(false);
+				continue;
+			}
+			if (wrap && offset > 0 && offset + step > length) {
+				newLine(true);
+			}
+			const { glyph } = this._resolveGlyph(font, c);
+			line.glyphs.push({ c, x: offset, glyph, advance: font.height });
+			offset += step + this.LETTERSPACING;
+		}
+		lines.push(line);
+
+		return {
+			lines,
+			x: offset,
+			lineHeight: font.width * size + this.LINESPACING,
+		};
+	};
+
+	// word wrap text at size into a w x h box: the lines that fit and
+	// whether any were left over or too wide
+	_fitTextBox = (font, size, text, w, h, maxLines = Infinity) => {
+		const layout = this._layoutText(font, size, text, true, 0, 0, w, true);
+		const { lines } = this._textMetrics(size, layout);
+		const room = Math.floor((h + this.LINESPACING) / layout.lineHeight);
+		const count = Math.max(0, Math.min(lines.length, room, maxLines));
+
+		return {
+			size,
+			lines: lines.slice(0, count),
+			truncated: count < lines.length || lines.some((line) => line.width > w),
+		};
+	};
+
+	// width of one line of text, unwrapped
+	_textWidth = (font, size, text) => {
+		const layout = this._layoutText(font, size, text, false, 0, 0, Infinity);
+		return this._lineWidth(size, layout.lines[0]);
+	};
+
+	// width of a laid out line from its start, trailing spaces left out
+	_lineWidth = (size, line) => {
+		const glyphs = line.glyphs;
+		let end = glyphs.length - 1;
+		while (end >= 0 && glyphs[end].c === ' ') {
+			end -= 1;
+		}
+		if (end < 0) {
+			return 0;
+		}
+		return glyphs[end].x + glyphs[end].advance * size - line.x;
+	};
+
+	// size of a text layout, an empty line left by wrapping at the very end
+	// does not count
+	_textMetrics = (size, layout) => {
+		const lines = [...layout.lines];
+		const last = lines[lines.length - 1];
+		if (lines.length > 1 && last.wrapped && !last.glyphs.length) {
+			lines.pop();
+		}
+
+		const widths = lines.map((line) => this._lineWidth(size, line));
+		return {
+			width: Math.max(...widths),
+			height: lines.length * layout.lineHeight - this.LINESPACING,
+			lines: lines.map((line, i) => ({
+				text: line.glyphs.map((g) => g.c).join(''),
+				width: widths[i],
+			})),
+		};
+	};
+
+	// draw a glyph bitmap with its top left at x, y
+	_drawRaster = async (raster, x, y, color) => {
+		// pages run down the panel unless it is turned sideways
+		if (this.BITS_PER_PIXEL === 1 && !(this.ROTATION % 180)) {
+			this._blitRaster(raster, x, y, !(color === 'BLACK' || !color));
+			return;
+		}
+
+		// otherwise as pixels, set bits take the text color
+		const pixels = [];
+		for (let j = 0; j < raster.height; j += 1) {
+			for (let i = 0; i < raster.width; i += 1) {
+				const bit = raster.bits[j * raster.width + i];
+				pixels.push([x + i, y + j, bit ? color : 0]);
+			}
+		}
+		await this.drawPixel(pixels, false);
+	};
+
+	// write a glyph bitmap straight into the framebuffer pages, clipped
+	// like drawPixel. Unset bits are background, painted in normal mode only.
+	_blitRaster = (raster, x, y, lit) => {
+		const sx = x + this.originX;
+		const sy = y + this.originY;
+		// visible area in screen coordinates
+		const clip = this.clip || {
+			x0: 0,
+			y0: 0,
+			x1: this.WIDTH - 1,
+			y1: this.HEIGHT - 1,
+		};
+		const x0 = Math.max(clip.x0, 0, sx);
+		const x1 = Math.min(clip.x1, this.WIDTH - 1, sx + raster.width - 1);
+		const y0 = Math.max(clip.y0, 0);
+		const y1 = Math.min(clip.y1, this.HEIGHT - 1);
+
+		const phase = ((sy % 8) + 8) % 8;
+		const { pages, columns, box } = this._rasterPages(raster, phase);
+		const firstPage = (sy - phase) / 8;
+
+		for (let p = 0; p < pages; p += 1) {
+			const page = firstPage + p;
+			// rows of this page that are visible
+			const low = Math.max(y0 - page * 8, 0);
+			const high = Math.min(y1 - page * 8, 7);
+			if (low > high) {
+				continue;
+			}
+			const rows = (0xff << low) & (0xff >> (7 - high));
+			const background = box[p] & rows;
+
+			for (let px = x0; px <= x1; px += 1) {
+				const index = px + this.PANEL_WIDTH * page;
+				const ink = lit ? columns[(px - sx) * pages + p] & rows : 0;
+				let value = this.buffer[index];
+				if (this.drawMode === 'normal') {
+					value = this._blendBits(value, background & ~ink, false);
+				}
+				this.buffer[index] = this._blendBits(value, ink, true);
+				this._markDirty(index);
+			}
+		}
+	};
+
+	// a glyph bitmap as page bytes when its top row sits phase rows into a
+	// page: the set bits of each column per page, and the rows the glyph
+	// covers per page. Built once per bitmap and phase.
+	_rasterPages = (raster, phase) => {
+		if (!rasterPages.has(raster)) {
+			rasterPages.set(raster, []);
+		}
+		const cache = rasterPages.get(raster);
+
+		if (!cache[phase]) {
+			const { width, height, bits } = raster;
+			const pages = Math.ceil((phase + height) / 8);
+			const columns = new Uint8Array(width * pages);
+			const box = new Uint8Array(pages);
+			for (let j = 0; j < height; j += 1) {
+				const page = (phase + j) >> 3;
+				const bit = 1 << ((phase + j) & 7);
+				box[page] |= bit;
+				for (let i = 0; i < width; i += 1) {
+					if (bits[j * width + i]) {
+						columns[i * pages + page] |= bit;
+					}
+				}
+			}
+			cache[phase] = { pages, columns, box };
+		}
+		return cache[phase];
+	};
+
+	// collect the points of a line into points, using Bresenham's line algorithm
+	_linePoints = (x0, y0, x1, y1, points) => {
+		const dx = Math.abs(x1 - x0),
+			sx = x0 < x1 ? 1 : -1;
+		const dy = Math.abs(y1 - y0),
+			sy = y0 < y1 ? 1 : -1;
+		let err = (dx > dy ? dx : -dy) / 2;
+
+		while (true) {
+			points.push([x0, y0]);
+
+			if (x0 === x1 && y0 === y1) break;
+
+			const e2 = err;
+
+			if (e2 > -dx) {
+				err -= dy;
+				x0 += sx;
+			}
+			if (e2 < dy) {
+				err += dx;
+				y0 += sy;
+			}
+		}
+		return points;
+	};
+
+	// the points of the closed outline through a list of [x, y] points
+	_outlinePoints = (points) => {
+		const outline = [];
+		for (let i = 0; i < points.length; i++) {
+			const [x0, y0] = points[i];
+			const [x1, y1] = points[(i + 1) % points.length];
+			this._linePoints(x0, y0, x1, y1, outline);
+		}
+		return outline;
+	};
+
+	// the largest corner radius that fits a w x h rectangle
+	_cornerRadius = (w, h, r) => {
+		return Math.max(0, Math.min(r, Math.floor((Math.min(w, h) - 1) / 2)));
+	};
+
+	// combine the bits in mask of a framebuffer byte with a lit or unlit
+	// source pixel, following the draw mode
+	_blendBits = (value, mask, lit) => {
+		switch (this.drawMode) {
+			case 'set':
+				return lit ? value | mask : value;
+			case 'clear':
+				return lit ? value & ~mask : value;
+			case 'xor':
+				return lit ? value ^ mask : value;
+			default:
+				return lit ? value | mask : value & ~mask;
+		}
+	};
+
+	// walk one octant of a circle, the midpoint way, calling plot(x, y) with
+	// x >= y for every step
+	_circlePoints = (r, plot) => {
+		if (r < 0) {
+			return;
+		}
+		let x = r;
+		let y = 0;
+		let err = 1 - r;
+
+		while (x >= y) {
+			plot(x, y);
+			y++;
+			if (err < 0) {
+				err += 2 * y + 1;
+			} else {
+				x--;
+				err += 2 * (y - x) + 1;
+			}
+		}
+	};
+
+	// walk one quadrant of an ellipse with the midpoint ellipse algorithm,
+	// calling plot(x, y) for every step
+	_ellipsePoints = (rx, ry, plot) => {
+		if (rx < 0 || ry < 0) {
+			return;
+		}
+		// flat ellipses are lines
+		if (!rx || !ry) {
+			for (let x = 0; x <= rx; x++) {
+				plot(x, 0);
+			}
+			for (let y = 0; y <= ry; y++) {
+				plot(0, y);
+			}
+			return;
+		}
+
+		const rx2 = rx * rx;
+		const ry2 = ry * ry;
+		let x = 0;
+		let y = ry;
+		let px = 0;
+		let py = 2 * rx2 * y;
+
+		// region 1, slope above -1
+		let p = ry2 - rx2 * ry + 0.25 * rx2;
+		while (px < py) {
+			plot(x, y);
+			x++;
+			px += 2 * ry2;
+			if (p < 0) {
+				p += ry2 + px;
+			} else {
+				y--;
+				py -= 2 * rx2;
+				p += ry2 + px - py;
+			}
+		}
+
+		// region 2, slope below -1
+		p = ry2 * (x + 0.5) * (x + 0.5) + rx2 * (y - 1) * (y - 1) - rx2 * ry2;
+		while (y >= 0) {
+			plot(x, y);
+			y--;
+			py -= 2 * rx2;
+			if (p > 0) {
+				p += rx2 - py;
+			} else {
+				x++;
+				px += 2 * ry2;
+				p += rx2 - py + px;
+			}
+		}
+	};
+
+	// returns a test for offsets (dx, dy) from the centre lying between the
+	// angles, clockwise from 3 o'clock as y grows downwards
+	_angleTest = (startAngle, endAngle) => {
+		const normalise = (angle) => ((angle % 360) + 360) % 360;
+		const start = normalise(startAngle);
+		const sweep = endAngle - startAngle;
+
+		if (Math.abs(sweep) >= 360) {
+			return () => true;
+		}
+		const span = normalise(sweep);
+
+		return (dx, dy) => {
+			const angle = normalise((Math.atan2(dy, dx) * 180) / Math.PI);
+			return normalise(angle - start) <= span;
+		};
+	};
+
+	// draw [x, y] points in one color, once each. Symmetric shapes meet
+	// themselves where their octants join.
+	_drawPoints = async (points, color) => {
+		const seen = new Set();
+		const pixels = [];
+
+		points.forEach(([x, y]) => {
+			const key = y * 0x10000 + x;
+			if (!seen.has(key)) {
+				seen.add(key);
+				pixels.push([x, y, color]);
+			}
+		});
+		if (pixels.length) {
+			await this.drawPixel(pixels, false);
+		}
+	};
+
+	// widen the span of row y to cover x0..x1
+	_addSpan = (spans, y, x0, x1) => {
+		const span = spans.get(y);
+		if (span) {
+			span[0] = Math.min(span[0], x0);
+			span[1] = Math.max(span[1], x1);
+		} else {
+			spans.set(y, [x0, x1]);
+		}
+	};
+
+	// draw horizontal spans (row => [x0, x1]) in one color
+	_drawSpans = async (spans, color) => {
+		const pixels = [];
+
+		const view = this._visibleBounds();
+		spans.forEach(([x0, x1], y) => {
+			// only the visible part of the row
+			if (y < view.y0 || y > view.y1) {
+				return;
+			}
+			for (let x = Math.max(x0, view.x0); x <= Math.min(x1, view.x1); x++) {
+				pixels.push([x, y, color]);
+			}
+		});
+		if (pixels.length) {
+			await this.drawPixel(pixels, false);
+		}
+	};
+
+	// look up the size profile for the panel, opts.geometry fills in or
+	// overrides its values (multiplex, compins, coloffset, displayoffset)
+	_resolveScreenConfig = (config) => {
+		const screenSize = `${this.PANEL_WIDTH}x${this.PANEL_HEIGHT}`;
+		const profile = config[screenSize];
+		const screenConfig = { displayoffset: 0, ...profile, ...this.GEOMETRY };
+
+		// without a profile the override has to describe the whole panel
+		const keys = Object.keys(Object.values(config)[0]);
+		const missing = keys.filter((key) => screenConfig[key] === undefined);
+		if (missing.length) {
+			const name = this.constructor.name;
+			const needed = missing.join(', ');
+			throw new Error(
+				`${name} has no profile for ${screenSize} screens, pass opts.geometry with ${needed}`
+			);
+		}
+		return screenConfig;
+	};
+
+	// set the rotation and the drawing size that goes with it
+	_rotate = (rotation) => {
+		if (![0, 90, 180, 270].includes(rotation)) {
+			throw new Error('Invalid Rotation');
+		}
+		this.ROTATION = rotation;
+
+		// turned sideways, the drawing area is the panel transposed
+		if (rotation % 180) {
+			this.WIDTH = this.PANEL_HEIGHT;
+			this.HEIGHT = this.PANEL_WIDTH;
+		} else {
+			this.WIDTH = this.PANEL_WIDTH;
+			this.HEIGHT = this.PANEL_HEIGHT;
+		}
+	};
+
+	// screen coordinates of a drawing point once translated, or null when it
+	// falls outside the panel or the clip rectangle
+	_clipPoint = (x, y) => {
+		x += this.originX;
+		y += this.originY;
+		if (x < 0 || x >= this.WIDTH || y < 0 || y >= this.HEIGHT) {
+			return null;
+		}
+		const clip = this.clip;
+		if (clip && (x < clip.x0 || x > clip.x1 || y < clip.y0 || y > clip.y1)) {
+			return null;
+		}
+		return [x, y];
+	};
+
+	// the drawable area (inclusive) in the current drawing coordinates
+	_visibleBounds = () => {
+		let x0 = 0;
+		let y0 = 0;
+		let x1 = this.WIDTH - 1;
+		let y1 = this.HEIGHT - 1;
+		if (this.clip) {
+			x0 = Math.max(x0, this.clip.x0);
+			y0 = Math.max(y0, this.clip.y0);
+			x1 = Math.min(x1, this.clip.x1);
+			y1 = Math.min(y1, this.clip.y1);
+		}
+		return {
+			x0: x0 - this.originX,
+			y0: y0 - this.originY,
+			x1: x1 - this.originX,
+			y1: y1 - this.originY,
+		};
+	};
+
+	// map drawing coordinates to panel coordinates. 90 degrees is a transpose
+	// done here, the extra 180 degrees for 270 is left to the controller
+	_toPanel = (x, y) => {
+		if (this.ROTATION % 180) {
+			return [this.PANEL_WIDTH - 1 - y, x];
+		}
+		return [x, y];
+	};
+
+	// which panel axes the controller has to flip for rotation and mirroring
+	_orientationFlips = () => {
+		const flip = this.ROTATION >= 180;
+		// mirroring is in drawing coordinates, so the axes swap when sideways
+		const sideways = this.ROTATION % 180 !== 0;
+		const mirrorSeg = sideways ? this.MIRROR_VERTICAL : this.MIRROR_HORIZONTAL;
+		const mirrorCom = sideways ? this.MIRROR_HORIZONTAL : this.MIRROR_VERTICAL;
+
+		return { seg: flip !== mirrorSeg, com: flip !== mirrorCom };
+	};
+
+	// segment remap and COM scan commands for the current orientation
+	_orientationSeq = () => {
+		const flips = this._orientationFlips();
+		return [
+			flips.seg ? this.SEG_REMAP ^ 0x01 : this.SEG_REMAP,
+			flips.com ? this.COM_SCAN_INC : this.COM_SCAN_DEC,
+		];
+	};
+
+	// send the orientation commands to the oled
+	_sendOrientation = async () => {
+		await this._transfer('cmd', this._orientationSeq());
+	};
+
+	// point the controller RAM at page/col for the next length data bytes,
+	// implemented by each driver
+	_setAddress = async (_page, _col, _length) => {
+		throw new Error(`${this.constructor.name} does not implement _setAddress`);
+	};
+
+	// mark a framebuffer byte as changed since the last flush
+	_markDirty = (index) => {
+		const mask = 1 << (index & 31);
+		if (!(this.dirty[index >> 5] & mask)) {
+			this.dirty[index >> 5] |= mask;
+			this.dirtyCount++;
+		}
+	};
+
+	// is the framebuffer byte waiting to be sent?
+	_isDirty = (index) => {
+		return (this.dirty[index >> 5] >>> (index & 31)) & 1;
+	};
+
+	// forget the dirty state, one bit per framebuffer byte
+	_clearDirty = () => {
+		this.dirty = new Uint32Array((this.buffer.length + 31) >> 5);
+		this.dirtyCount = 0;
+	};
+
+	// dirty bytes as runs along each page of stride bytes, windows of a
+	// single page. Short clean gaps are bridged.
+	_dirtyRuns = (stride = this.PANEL_WIDTH) => {
+		const runs = [];
+		const pages = this.buffer.length / stride;
+
+		for (let page = 0; page < pages; page++) {
+			let run = null;
+			for (let col = 0; col < stride; col++) {
+				if (!this._isDirty(page * stride + col)) {
+					continue;
+				}
+				if (run && col - run.colEnd - 1 <= this.WINDOW_COST) {
+					run.colEnd = col;
+				} else {
+					run = { pageStart: page, pageEnd: page, colStart: col, colEnd: col };
+					runs.push(run);
+				}
+			}
+		}
+		return runs;
+	};
+
+	// stack runs on neighbouring pages into rectangles, for controllers that
+	// take a column and page window
+	_mergeRuns = (runs) => {
+		const rects = [];
+
+		runs.forEach((run) => {
+			const rect = rects.find(
+				(r) =>
+					r.pageEnd === run.pageStart - 1 &&
+					run.colStart <= r.colEnd + this.WINDOW_COST &&
+					run.colEnd >= r.colStart - this.WINDOW_COST
+			);
+			if (rect) {
+				rect.pageEnd = run.pageStart;
+				rect.colStart = Math.min(rect.colStart, run.colStart);
+				rect.colEnd = Math.max(rect.colEnd, run.colEnd);
+			} else {
+				rects.push({ ...run });
+			}
+		});
+		return rects;
+	};
+
+	// the address windows covering the dirty bytes, one per run by default
+	_dirtyWindows = () => {
+		return this._dirtyRuns();
+	};
+
+	// send one window, page by page
+	_sendWindow = async (window) => {
+		const length = window.colEnd - window.colStart + 1;
+
+		for (let page = window.pageStart; page <= window.pageEnd; page++) {
+			const start = page * this.PANEL_WIDTH + window.colStart;
+
+			await this._setAddress(page, window.colStart, length);
+			await this._transfer('data', this.buffer.subarray(start, start + length));
+		}
+	};
+
+	// looks at dirty bytes, and sends the updated windows to the display
+	_updateDirtyBytes = async () => {
+		await this._exclusive(async () => {
+			// a frame is being drawn, endFrame() sends it
+			if (!this.dirtyCount || this.frameDepth) {
+				return;
+			}
+
+			const windows = this._dirtyWindows();
+			// bytes on the wire, every window adds its addressing
+			const cost = windows.reduce(
+				(sum, w) =>
+					sum +
+					(w.pageEnd - w.pageStart + 1) * (w.colEnd - w.colStart + 1) +
+					this.WINDOW_COST,
+				0
+			);
+
+			// drawing may carry on while the windows are sent
+			this._clearDirty();
+
+			// check to see if this will even save time
+			if (cost >= this.buffer.length) {
+				// just call regular update at this stage, saves on bytes sent
+				await this.update();
+			} else {
+				await this._waitUntilReady();
+
+				for (let i = 0; i < windows.length; i++) {
+					await this._sendWindow(windows[i]);
+				}
+			}
+		});
+	};
+}
+
+export default BaseDriver;
@@ -0,0 +1,110 @@
+import BaseDriver from './base.mjs';
+
+// SH1107: SH1106 style page addressing over a 128x128 RAM with 16 pages.
+// The panels are natively portrait (64x128 FeatherWing, 128x128 Grove)
+// and the usable COM lines sit at a panel specific display offset.
+class SH1107 extends BaseDriver {
+	// size profiles, see BaseDriver._resolveScreenConfig()
+	static SCREEN_CONFIG = {
+		'64x128': {
+			multiplex: 0x3f,
+			displayoffset: 0x60,
+			coloffset: 0,
+		},
+		'128x128': {
+			multiplex: 0x7f,
+			displayoffset: 0x00,
+			coloffset: 0,
+		},
+	};
+
+	constructor(i2c, opts) {
+		// portrait is the native orientation
+		super(i2c, {
+			...opts,
+			width: opts.width || 64,
+			height: opts.height || 128,
+		});
+
+		// create command buffers
+		this.SET_DISPLAY_CLOCK_DIV = 0xd5;
+		this.SET_MULTIPLEX = 0xa8;
+		this.SET_DISPLAY_OFFSET = 0xd3;
+		this.SET_START_LINE = 0xdc;
+		this.DC_DC_CONTROL = 0xad;
+		this.PAGE_ADDRESSING_MODE = 0x20;
+		this.SEG_REMAP = 0xa0;
+		this.COM_SCAN_DEC = 0xc8;
+		this.COM_SCAN_INC = 0xc0;
+		this.SET_CONTRAST = 0x81;
+		this.SET_PRECHARGE = 0xd9;
+		this.SET_VCOM_DETECT = 0xdb;
+		this.DISPLAY_ALL_ON_RESUME = 0xa4;
+		this.COLUMN_LOW_START_ADDR = 0x00;
+		this.COLUMN_HIGH_START_ADDR = 0x10;
+		this.PAGE_ADDR = 0xb0;
+	}
+
+	/* ##################################################################################################
+	 * Private utilities
+	 * ##################################################################################################
+	 */
+
+	// Initialize the display
+	_initialise = async () => {
+		// sequence of bytes to initialise with
+		const initSeq = [
+			this.DISPLAY_OFF,
+			this.SET_DISPLAY_CLOCK_DIV,
+			0x51,
+			this.PAGE_ADDRESSING_MODE,
+			this.SET_CONTRAST,
+			0x4f, // contrast val
+			this.DC_DC_CONTROL,
+			0x8a, // built-in DC-DC off, the modules supply VPP
+			...this._orientationSeq(), // screen orientation, see setRotation/setMirror
+			this.SET_START_LINE,
+			0x00,
+			this.SET_DISPLAY_OFFSET,
+			this.screenConfig.displayoffset, // the COM lines wired to the glass differ per panel
+			this.SET_PRECHARGE,
+			0x22, // precharge val
+			this.SET_VCOM_DETECT,
+			0x35, // vcom detect
+			this.SET_MULTIPLEX,
+			this.screenConfig.multiplex, // set the last value dynamically based on screen size requirement
+			this.DISPLAY_ALL_ON_RESUME,
+			this.NORMAL_DISPLAY,
+			this.DISPLAY_ON,
+		];
+
+		// hardware reset where the transport has a reset line
+		await this.transport.reset();
+
+		// write init seq commands
+		await this._transfer('cmd', initSeq);
+	};
+
+	// unlike the SSD1306 family the SH1107 modules are upright unremapped
+	_orientationSeq = () => {
+		const flips = this._orientationFlips();
+		return [
+			flips.seg ? this.SEG_REMAP ^ 0x01 : this.SEG_REMAP,
+			flips.com ? this.COM_SCAN_DEC : this.COM_SCAN_INC,
+		];
+	};
+
+	// Point the page and column address at page/col
+	_setAddress = async (page, col) => {
+		col += this.screenConfig.coloffset;
+
+		// Compute the lower and high column addresses
+		const lowAddress = this.COLUMN_LOW_START_ADDR | (col & 0x0f); // lower address ranges from 0 to 0x0F
+		const highAddress = this.COLUMN_HIGH_START_ADDR | (col >>> 4); // high address ranges from 0x10 to 0x17
+		const displaySeq = [this.PAGE_ADDR + page, lowAddress, highAddress];
+
+		await this._transfer('cmd', displaySeq);
+	};
+}
+
+export default SH1107;
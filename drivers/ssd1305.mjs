@@ -0,0 +1,81 @@
+import SSD1306 from './ssd1306.mjs';
+
+// SSD1305: SSD1306 style addressing over a 132 column RAM. Modules run on
+// external VCC, show the glass from column 4 and use alternative COM pins.
+class SSD1305 extends SSD1306 {
+	// size profiles, see BaseDriver._resolveScreenConfig()
+	static SCREEN_CONFIG = {
+		'128x32': {
+			multiplex: 0x1f,
+			compins: 0x12,
+			coloffset: 0x04,
+		},
+		'128x64': {
+			multiplex: 0x3f,
+			compins: 0x12,
+			coloffset: 0x04,
+		},
+	};
+
+	constructor(i2c, opts) {
+		super(i2c, opts);
+
+		// create command buffers
+		this.SET_START_LINE = 0x40;
+		this.SET_MASTER_CONFIG = 0xad;
+		this.SET_AREA_COLOR = 0xd8;
+		this.SET_LUT = 0x91;
+		this.EXTERNAL_VCC = true;
+	}
+
+	/* ##################################################################################################
+	 * Private utilities
+	 * ##################################################################################################
+	 */
+
+	// Initialize the display
+	_initialise = async () => {
+		// sequence of bytes to initialise with
+		const initSeq = [
+			this.DISPLAY_OFF,
+			this.SET_DISPLAY_CLOCK_DIV,
+			0xf0,
+			this.SET_MULTIPLEX,
+			this.screenConfig.multiplex, // set the last value dynamically based on screen size requirement
+			this.SET_DISPLAY_OFFSET,
+			this.screenConfig.displayoffset, // 0 unless the panel needs its COM lines shifted
+			this.SET_START_LINE,
+			this.SET_MASTER_CONFIG,
+			0x8e, // external VCC supply
+			this.SET_AREA_COLOR,
+			0x05, // monochrome mode, low power
+			this.MEMORY_MODE,
+			0x00, // horizontal addressing
+			...this._orientationSeq(), // screen orientation, see setRotation/setMirror
+			this.SET_COM_PINS,
+			this.screenConfig.compins, // com pins val sets dynamically to match each screen size requirement
+			this.SET_CONTRAST,
+			0x32, // contrast val
+			this.SET_PRECHARGE,
+			0xf1, // precharge val
+			this.SET_VCOM_DETECT,
+			0x3c, // vcom detect
+			this.SET_LUT,
+			0x3f, // pulse widths of bank 0 and colours A, B, C
+			0x3f,
+			0x3f,
+			0x3f,
+			this.DISPLAY_ALL_ON_RESUME,
+			this.NORMAL_DISPLAY,
+			this.DISPLAY_ON,
+		];
+
+		// hardware reset where the transport has a reset line
+		await this.transport.reset();
+
+		// write init seq commands
+		await this._transfer('cmd', initSeq);
+	};
+}
+
+export default SSD1305;
@@ -0,0 +1,67 @@
+import SSD1306 from './ssd1306.mjs';
+
+// SSD1309: SSD1306 command set and addressing, but no internal charge pump
+// (external VCC only), a command lock and its own init constants.
+class SSD1309 extends SSD1306 {
+	// size profiles, see BaseDriver._resolveScreenConfig()
+	static SCREEN_CONFIG = {
+		'128x64': {
+			multiplex: 0x3f,
+			compins: 0x12,
+			coloffset: 0,
+		},
+	};
+
+	constructor(i2c, opts) {
+		super(i2c, opts);
+
+		// create command buffers
+		this.SET_START_LINE = 0x40;
+		this.SET_COMMAND_LOCK = 0xfd;
+		this.EXTERNAL_VCC = true;
+	}
+
+	/* ##################################################################################################
+	 * Private utilities
+	 * ##################################################################################################
+	 */
+
+	// Initialize the display
+	_initialise = async () => {
+		// sequence of bytes to initialise with
+		const initSeq = [
+			this.SET_COMMAND_LOCK,
+			0x12, // unlock the command interface
+			this.DISPLAY_OFF,
+			this.SET_DISPLAY_CLOCK_DIV,
+			0xa0,
+			this.SET_MULTIPLEX,
+			this.screenConfig.multiplex, // set the last value dynamically based on screen size requirement
+			this.SET_DISPLAY_OFFSET,
+			this.screenConfig.displayoffset, // 0 unless the panel needs its COM lines shifted
+			this.SET_START_LINE,
+			this.MEMORY_MODE,
+			0x00, // horizontal addressing
+			...this._orientationSeq(), // screen orientation, see setRotation/setMirror
+			this.SET_COM_PINS,
+			this.screenConfig.compins, // com pins val sets dynamically to match each screen size requirement
+			this.SET_CONTRAST,
+			0xdf, // contrast val
+			this.SET_PRECHARGE,
+			0x82, // precharge val, phase 2 is longer with external VCC
+			this.SET_VCOM_DETECT,
+			0x34, // vcom detect
+			this.DISPLAY_ALL_ON_RESUME,
+			this.NORMAL_DISPLAY,
+			this.DISPLAY_ON,
+		];
+
+		// hardware reset where the transport has a reset line
+		await this.transport.reset();
+
+		// write init seq commands
+		await this._transfer('cmd', initSeq);
+	};
+}
+
+export default SSD1309;
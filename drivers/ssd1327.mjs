@@ -0,0 +1,299 @@
+import BaseDriver from './base.mjs';
+
+// SSD1327: 128x128 with 16 gray levels. The framebuffer holds 4 bits per
+// pixel, two pixels per byte in row order with the left pixel in the high
+// nibble. Colours are gray levels from 0 (off) to 15 (brightest).
+class SSD1327 extends BaseDriver {
+	// size profiles, see BaseDriver._resolveScreenConfig()
+	static SCREEN_CONFIG = {
+		'128x128': {
+			multiplex: 0x7f,
+			remap: 0x51,
+			coloffset: 0,
+		},
+	};
+
+	constructor(i2c, opts) {
+		// the only size the controller drives
+		super(i2c, {
+			...opts,
+			width: opts.width || 128,
+			height: opts.height || 128,
+		});
+
+		// create command buffers
+		this.SET_COLUMN_ADDR = 0x15;
+		this.SET_ROW_ADDR = 0x75;
+		this.SET_CONTRAST = 0x81;
+		this.SET_REMAP = 0xa0;
+		this.SET_START_LINE = 0xa1;
+		this.SET_DISPLAY_OFFSET = 0xa2;
+		this.NORMAL_DISPLAY = 0xa4;
+		this.INVERT_DISPLAY = 0xa7;
+		this.SET_MULTIPLEX = 0xa8;
+		this.FUNCTION_SELECT_A = 0xab;
+		this.SET_PHASE_LENGTH = 0xb1;
+		this.SET_DISPLAY_CLOCK_DIV = 0xb3;
+		this.SET_SECOND_PRECHARGE = 0xb6;
+		this.LINEAR_GRAYSCALE = 0xb9;
+		this.SET_PRECHARGE = 0xbc;
+		this.SET_VCOM_DETECT = 0xbe;
+		this.FUNCTION_SELECT_B = 0xd5;
+		this.SET_COMMAND_LOCK = 0xfd;
+
+		this.MAX_GRAY = 0x0f;
+		// two pixels per byte
+		this.BYTES_PER_ROW = this.PANEL_WIDTH / 2;
+
+		// new blank buffer (4 bits per pixel)
+		this.BITS_PER_PIXEL = 4;
+		this.buffer = Buffer.alloc(this.BYTES_PER_ROW * this.PANEL_HEIGHT);
+		this.buffer.fill(0xff);
+		this._clearDirty();
+	}
+
+	/* ##################################################################################################
+	 * OLED controls
+	 * ##################################################################################################
+	 */
+
+	// send the entire framebuffer to the oled
+	update = async () => {
+		await this._exclusive(async () => {
+			// wait for oled to be ready
+			await this._waitUntilReady();
+
+			await this._setWindow(
+				0,
+				this.BYTES_PER_ROW - 1,
+				0,
+				this.PANEL_HEIGHT - 1
+			);
+
+			// write buffer data
+			await this._transfer('data', this.buffer);
+		});
+	};
+
+	/* ##################################################################################################
+	 * OLED drawings
+	 * ##################################################################################################
+	 */
+
+	// read the gray level of a pixel from the framebuffer
+	getPixel = (x, y) => {
+		if (x < 0 || x >= this.WIDTH || y < 0 || y >= this.HEIGHT) {
+			return 0;
+		}
+		const [px, py] = this._toPanel(x, y);
+		const byte = this.buffer[(px >> 1) + this.BYTES_PER_ROW * py];
+		return px & 1 ? byte & 0x0f : byte >> 4;
+	};
+
+	// pages do not exist on a grayscale controller
+	drawPageCol = async () => {
+		console.log('SSD1327 does not support this command');
+	};
+
+	// pages do not exist on a grayscale controller
+	drawPageSeg = async () => {
+		console.log('SSD1327 does not support this command');
+	};
+
+	// draw one or many pixels on oled, color is a gray level
+	drawPixel = async (pixels, sync) => {
+		// handle lazy single pixel case
+		if (typeof pixels[0] !== 'object') {
+			pixels = [pixels];
+		}
+
+		pixels.forEach((el) => {
+			this._setGray(el[0], el[1], this._grayLevel(el[2]));
+		});
+
+		if (sync) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	// draw an RGBA image at the specified coordinates, luminance picks the gray level
+	drawRGBAImage = async (image, dx, dy, sync) => {
+		const immed = typeof sync === 'undefined' ? true : sync;
+
+		for (let y = 0; y < image.height; y++) {
+			for (let x = 0; x < image.width; x++) {
+				const dataIndex = (image.width * y + x) << 2; // 4 bytes per pixel (RGBA)
+				if (!image.data[dataIndex + 3]) {
+					// transparent, continue to next pixel
+					continue;
+				}
+
+				// ITU-R BT.601 luma, scaled to the gray levels
+				const luminance =
+					0.299 * image.data[dataIndex] +
+					0.587 * image.data[dataIndex + 1] +
+					0.114 * image.data[dataIndex + 2];
+				const gray = Math.round((luminance / 255) * this.MAX_GRAY);
+
+				this._setGray(dx + x, dy + y, gray);
+			}
+		}
+
+		if (immed) {
+			await this._updateDirtyBytes();
+		}
+	};
+
+	/* ##################################################################################################
+	 * Private utilities
+	 * ##################################################################################################
+	 */
+
+	// Initialize the display
+	_initialise = async () => {
+		// sequence of bytes to initialise with
+		const initSeq = [
+			this.DISPLAY_OFF,
+			this.SET_COMMAND_LOCK,
+			0x12, // unlock the command interface
+			this.SET_CONTRAST,
+			0x80, // contrast val
+			...this._orientationSeq(), // column and COM remap, left pixel in the high nibble
+			this.SET_START_LINE,
+			0x00,
+			this.SET_DISPLAY_OFFSET,
+			this.screenConfig.displayoffset, // 0 unless the panel needs its COM lines shifted
+			this.NORMAL_DISPLAY,
+			this.SET_MULTIPLEX,
+			this.screenConfig.multiplex, // set the last value dynamically based on screen size requirement
+			this.FUNCTION_SELECT_A,
+			0x01, // internal VDD regulator
+			this.SET_PHASE_LENGTH,
+			0xf1, // phase length val
+			this.SET_DISPLAY_CLOCK_DIV,
+			0x00,
+			this.SET_SECOND_PRECHARGE,
+			0x0f, // second precharge period
+			this.LINEAR_GRAYSCALE,
+			this.SET_PRECHARGE,
+			0x08, // precharge val
+			this.SET_VCOM_DETECT,
+			0x07, // vcom detect
+			this.FUNCTION_SELECT_B,
+			0x62, // second precharge enabled
+			this.DISPLAY_ON,
+		];
+
+		// hardware reset where the transport has a reset line
+		await this.transport.reset();
+
+		// write init seq commands
+		await this._transfer('cmd', initSeq);
+	};
+
+	// the remap byte carries the orientation, a column flip needs the nibble
+	// order swapped as well to keep pixels in place within a byte
+	_orientationSeq = () => {
+		const flips = this._orientationFlips();
+		let remap = this.screenConfig.remap;
+
+		if (flips.seg) {
+			remap ^= 0x03;
+		}
+		if (flips.com) {
+			remap ^= 0x10;
+		}
+		return [this.SET_REMAP, remap];
+	};
+
+	// set the column (in bytes) and row window for the following data
+	_setWindow = async (colStart, colEnd, rowStart, rowEnd) => {
+		const offset = this.screenConfig.coloffset;
+		const displaySeq = [
+			this.SET_COLUMN_ADDR,
+			colStart + offset,
+			colEnd + offset, // column start and end address
+			this.SET_ROW_ADDR,
+			rowStart,
+			rowEnd, // row start and end address
+		];
+
+		await this._transfer('cmd', displaySeq);
+	};
+
+	// turn a color argument into a gray level
+	_grayLevel = (color) => {
+		if (color === 'BLACK' || !color) {
+			return 0;
+		}
+		if (color === 'WHITE' || color === true) {
+			return this.MAX_GRAY;
+		}
+		return Math.min(this.MAX_GRAY, Math.max(0, Math.round(color)));
+	};
+
+	// combine a gray level with the one in the framebuffer, following the
+	// draw mode. XOR of the brightest level inverts.
+	_blendGray = (current, gray) => {
+		switch (this.drawMode) {
+			case 'clear':
+				return 0;
+			case 'xor':
+				return current ^ gray;
+			default:
+				return gray;
+		}
+	};
+
+	// write a gray level into the framebuffer and mark the byte dirty
+	_setGray = (x, y, gray) => {
+		const point = this._clipPoint(x, y);
+		if (!point) {
+			return;
+		}
+
+		// unlit pixels are transparent outside normal mode
+		if (!gray && this.drawMode !== 'normal') {
+			return;
+		}
+
+		const [px, py] = this._toPanel(...point);
+		const byte = (px >> 1) + this.BYTES_PER_ROW * py;
+		const current = px & 1 ? this.buffer[byte] & 0x0f : this.buffer[byte] >> 4;
+		gray = this._blendGray(current, gray);
+
+		if (px & 1) {
+			this.buffer[byte] = (this.buffer[byte] & 0xf0) | gray;
+		} else {
+			this.buffer[byte] = (this.buffer[byte] & 0x0f) | (gray << 4);
+		}
+
+		this._markDirty(byte);
+	};
+
+	// dirty runs along each row, stacked into column/row windows
+	_dirtyWindows = () => {
+		return this._mergeRuns(this._dirtyRuns(this.BYTES_PER_ROW));
+	};
+
+	// one column/row window and one data burst per rectangle
+	_sendWindow = async (window) => {
+		const rows = [];
+		for (let row = window.pageStart; row <= window.pageEnd; row++) {
+			const start = row * this.BYTES_PER_ROW;
+			rows.push(
+				this.buffer.subarray(start + window.colStart, start + window.colEnd + 1)
+			);
+		}
+
+		await this._setWindow(
+			window.colStart,
+			window.colEnd,
+			window.pageStart,
+			window.pageEnd
+		);
+		await this._transfer('data', Buffer.concat(rows));
+	};
+}
+
+export default SSD1327;
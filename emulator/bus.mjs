@@ -0,0 +1,88 @@
+// In-memory stand-in for a promisified i2c-bus handle. Virtual controllers
+// are attached at an address, every transaction is recorded so tests can
+// assert on the exact bytes the drivers put on the wire.
+class EmulatedBus {
+	constructor() {
+		this.devices = new Map();
+		this.transactions = [];
+	}
+
+	// attach a virtual controller at an I2C address
+	attach = (address, device) => {
+		this.devices.set(address, device);
+		return device;
+	};
+
+	// remove the device at an I2C address
+	detach = (address) => {
+		this.devices.delete(address);
+	};
+
+	// forget all recorded transactions
+	clearTransactions = () => {
+		this.transactions = [];
+	};
+
+	// write transactions sent to an address, as plain byte arrays
+	writesTo = (address) => {
+		return this.transactions
+			.filter((t) => t.type === 'write' && t.address === address)
+			.map((t) => Array.from(t.bytes));
+	};
+
+	/* ##################################################################################################
+	 * i2c-bus PromisifiedBus API
+	 * ##################################################################################################
+	 */
+
+	i2cWrite = async (address, length, buffer) => {
+		const device = this._device(address);
+		const bytes = Buffer.from(buffer.subarray(0, length));
+
+		this.transactions.push({ type: 'write', address, bytes });
+		device.write(bytes);
+
+		return { bytesWritten: length, buffer };
+	};
+
+	i2cRead = async (address, length, buffer) => {
+		const device = this._device(address);
+		const bytes = device.read(length);
+
+		bytes.copy(buffer, 0, 0, length);
+		this.transactions.push({ type: 'read', address, bytes });
+
+		return { bytesRead: length, buffer };
+	};
+
+	close = async () => {
+		this.devices.clear();
+	};
+
+	/* ##################################################################################################
+	 * Private utilities
+	 * ##################################################################################################
+	 */
+
+	// look up a device, failing like a real bus when nothing acknowledges
+	_device = (address) => {
+		let device = this.devices.get(address);
+
+		// devices behind a multiplexer answer while their channel is enabled
+		if (!device) {
+			device = Array.from(this.devices.values())
+				.filter((mux) => typeof mux.route === 'function')
+				.map((mux) => mux.route(address))
+				.find(Boolean);
+		}
+
+		if (!device) {
+			throw new Error(
+				`Remote I/O error, no device at 0x${address.toString(16)}`
+			);
+		}
+		return device;
+	};
+}
+
+export default EmulatedBus;
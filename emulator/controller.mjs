@@ -0,0 +1,268 @@
+// Base class for the virtual OLED controllers. It decodes the I2C control
+// byte framing shared by the SSD1306 family, keeps the command/parameter
+// state machine and holds the virtual GDDRAM. Subclasses describe their
+// command set through _paramCount() and _execute() and decide how a data
+// byte moves the RAM address pointer in _writeData().
+class VirtualController {
+	constructor(opts = {}) {
+		this.WIDTH = opts.width || 128;
+		this.HEIGHT = opts.height || 64;
+		this.COLOFFSET = opts.coloffset || 0;
+
+		// controller RAM size, overridden by each chip
+		this.RAM_COLUMNS = opts.ramColumns || 128;
+		this.RAM_PAGES = opts.ramPages || 8;
+
+		// subclasses call reset() once their own fields are in place
+	}
+
+	/* ##################################################################################################
+	 * Bus interface
+	 * ##################################################################################################
+	 */
+
+	// receive one I2C write transaction (control byte framing included)
+	write = (bytes) => {
+		let i = 0;
+
+		while (i < bytes.length) {
+			const control = bytes[i++];
+			// Co bit: when set only the next byte belongs to this control byte
+			const continuation = control & 0x80;
+			// D/C# bit: data stream when set, command stream when clear
+			const isData = (control & 0x40) !== 0;
+
+			if (continuation) {
+				if (i < bytes.length) {
+					this._receive(isData, bytes[i++]);
+				}
+			} else {
+				while (i < bytes.length) {
+					this._receive(isData, bytes[i++]);
+				}
+			}
+		}
+	};
+
+	// answer an I2C read with the status register
+	read = (length) => {
+		return Buffer.alloc(length, this.status());
+	};
+
+	// receive a single command byte (e.g. from an SPI transfer with DC low)
+	command = (byte) => {
+		this._receive(false, byte);
+	};
+
+	// receive a single data byte (e.g. from an SPI transfer with DC high)
+	data = (byte) => {
+		this._receive(true, byte);
+	};
+
+	// status register, bit 6 is set while the display is off, never busy
+	status = () => {
+		return this.displayOn ? 0x00 : 0x40;
+	};
+
+	/* ##################################################################################################
+	 * Inspection helpers
+	 * ##################################################################################################
+	 */
+
+	// power-on reset state
+	reset = () => {
+		this.gddram = Buffer.alloc(this.RAM_COLUMNS * this.RAM_PAGES);
+		this.commands = [];
+		this._pending = null;
+
+		this.displayOn = false;
+		this.inverted = false;
+		this.entireDisplayOn = false;
+		this.contrast = 0x7f;
+		this.segRemap = false;
+		this.comScanDec = false;
+		this.multiplex = 0x3f;
+		this.displayOffset = 0;
+		this.startLine = 0;
+		this.comPins = 0x12;
+		this.clockDiv = 0x80;
+		this.precharge = 0x22;
+		this.vcomDetect = 0x20;
+
+		this.column = 0;
+		this.page = 0;
+
+		this._resetChip();
+	};
+
+	// read a RAM byte at page/column (RAM coordinates)
+	readRam = (page, col) => {
+		if (
+			page < 0 ||
+			page >= this.RAM_PAGES ||
+			col < 0 ||
+			col >= this.RAM_COLUMNS
+		) {
+			return 0;
+		}
+		return this.gddram[page * this.RAM_COLUMNS + col];
+	};
+
+	// the visible part of the RAM in the same page-ordered layout as the driver buffer
+	framebuffer = () => {
+		const pages = Math.ceil(this.HEIGHT / 8);
+		const frame = Buffer.alloc(this.WIDTH * pages);
+
+		for (let page = 0; page < pages; page++) {
+			for (let x = 0; x < this.WIDTH; x++) {
+				frame[page * this.WIDTH + x] = this.readRam(page, x + this.COLOFFSET);
+			}
+		}
+		return frame;
+	};
+
+	// pixel state at panel coordinates, as stored in RAM
+	getPixel = (x, y) => {
+		const byte = this.readRam(Math.floor(y / 8), x + this.COLOFFSET);
+		return (byte >> y % 8) & 1;
+	};
+
+	// render the visible RAM as text, handy when a test fails
+	toAscii = (on = '#', off = '.') => {
+		const rows = [];
+		for (let y = 0; y < this.HEIGHT; y++) {
+			let row = '';
+			for (let x = 0; x < this.WIDTH; x++) {
+				row += this.getPixel(x, y) ? on : off;
+			}
+			rows.push(row);
+		}
+		return rows.join('\n');
+	};
+
+	/* ##################################################################################################
+	 * Private utilities
+	 * ##################################################################################################
+	 */
+
+	// route an incoming byte to the command decoder or the RAM
+	_receive = (isData, byte) => {
+		if (isData) {
+			this._writeData(byte);
+			return;
+		}
+
+		// collect parameters for a multi-byte command
+		if (this._pending) {
+			this._pending.push(byte);
+			if (this._pending.length === this._pending.needed + 1) {
+				const cmd = this._pending;
+				this._pending = null;
+				this._dispatch(cmd);
+			}
+			return;
+		}
+
+		const needed = this._paramCount(byte);
+		if (needed) {
+			this._pending = [byte];
+			this._pending.needed = needed;
+		} else {
+			this._dispatch([byte]);
+		}
+	};
+
+	// log a complete command and run it
+	_dispatch = (cmd) => {
+		this.commands.push(Array.from(cmd));
+		this._execute(cmd[0], cmd.slice(1));
+	};
+
+	// commands understood by every controller of the family
+	_executeCommon = (opcode, params) => {
+		if (opcode >= 0x40 && opcode <= 0x7f) {
+			this.startLine = opcode & 0x3f;
+			return true;
+		}
+
+		switch (opcode) {
+			case 0x81:
+				this.contrast = params[0];
+				return true;
+			case 0xa0:
+			case 0xa1:
+				this.segRemap = opcode === 0xa1;
+				return true;
+			case 0xa4:
+			case 0xa5:
+				this.entireDisplayOn = opcode === 0xa5;
+				return true;
+			case 0xa6:
+			case 0xa7:
+				this.inverted = opcode === 0xa7;
+				return true;
+			case 0xa8:
+				this.multiplex = params[0] & 0x3f;
+				return true;
+			case 0xae:
+			case 0xaf:
+				this.displayOn = opcode === 0xaf;
+				return true;
+			case 0xc0:
+			case 0xc8:
+				this.comScanDec = opcode === 0xc8;
+				return true;
+			case 0xd3:
+				this.displayOffset = params[0] & 0x3f;
+				return true;
+			case 0xd5:
+				this.clockDiv = params[0];
+				return true;
+			case 0xd9:
+				this.precharge = params[0];
+				return true;
+			case 0xda:
+				this.comPins = params[0];
+				return true;
+			case 0xdb:
+				this.vcomDetect = params[0];
+				return true;
+			case 0xe3:
+				// NOP
+				return true;
+		}
+		return false;
+	};
+
+	// store a byte in RAM, silently dropping writes outside of it
+	_store = (page, col, byte) => {
+		if (page < 0 || page >= this.RAM_PAGES) {
+			return;
+		}
+		if (col < 0 || col >= this.RAM_COLUMNS) {
+			return;
+		}
+		this.gddram[page * this.RAM_COLUMNS + col] = byte;
+	};
+
+	// reset chip specific state, per controller
+	_resetChip = () => {};
+
+	// number of parameter bytes following an opcode, per controller
+	_paramCount = (_opcode) => {
+		return 0;
+	};
+
+	// apply a decoded command, per controller
+	_execute = (opcode, params) => {
+		this._executeCommon(opcode, params);
+	};
+
+	// write a data byte at the address pointer and advance it, per controller
+	_writeData = (byte) => {
+		this._store(this.page, this.column, byte);
+		this.column++;
+	};
+}
+
+export default VirtualController;
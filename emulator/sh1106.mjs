@@ -0,0 +1,80 @@
+import VirtualController from './controller.mjs';
+
+// Virtual SH1106: 132x64 RAM with page addressing only. Pages are selected
+// with 0xB0 + page, columns with low/high nibble commands, and the column
+// pointer increments after each data byte without wrapping.
+class VirtualSH1106 extends VirtualController {
+	constructor(opts = {}) {
+		super({ ramColumns: 132, ramPages: 8, coloffset: 2, ...opts });
+		this.reset();
+	}
+
+	_resetChip = () => {
+		this.dcdc = 0x8b;
+		this.pumpVoltage = 0x32;
+		this.readModifyWrite = false;
+	};
+
+	_paramCount = (opcode) => {
+		switch (opcode) {
+			case 0x81: // contrast
+			case 0xa8: // multiplex
+			case 0xad: // DC-DC control
+			case 0xd3: // display offset
+			case 0xd5: // clock divide
+			case 0xd9: // precharge
+			case 0xda: // com pins
+			case 0xdb: // vcom detect
+				return 1;
+			default:
+				return 0;
+		}
+	};
+
+	_execute = (opcode, params) => {
+		if (this._executeCommon(opcode, params)) {
+			return;
+		}
+
+		if (opcode <= 0x0f) {
+			this.column = (this.column & 0xf0) | opcode;
+			return;
+		}
+		if (opcode >= 0x10 && opcode <= 0x1f) {
+			this.column = ((opcode & 0x0f) << 4) | (this.column & 0x0f);
+			return;
+		}
+		if (opcode >= 0x30 && opcode <= 0x33) {
+			this.pumpVoltage = opcode;
+			return;
+		}
+		// 0xB0-0xBF, anything past the last page leaves writes dropped
+		if (opcode >= 0xb0 && opcode <= 0xbf) {
+			this.page = opcode & 0x0f;
+			return;
+		}
+
+		switch (opcode) {
+			case 0xad:
+				this.dcdc = params[0];
+				break;
+			case 0xe0:
+				this.readModifyWrite = true;
+				this._rmwColumn = this.column;
+				break;
+			case 0xee:
+				this.readModifyWrite = false;
+				this.column = this._rmwColumn;
+				break;
+		}
+	};
+
+	_writeData = (byte) => {
+		this._store(this.page, this.column, byte);
+		if (this.column < this.RAM_COLUMNS) {
+			this.column++;
+		}
+	};
+}
+
+export default VirtualSH1106;
@@ -0,0 +1,88 @@
+import VirtualController from './controller.mjs';
+
+// Virtual SH1107: 128x128 RAM in 16 pages. Page and vertical addressing
+// modes are single byte commands (0x20/0x21), the start line takes a
+// parameter (0xDC) and the display offset shifts the visible COM lines.
+class VirtualSH1107 extends VirtualController {
+	constructor(opts = {}) {
+		super({
+			width: 64,
+			height: 128,
+			ramColumns: 128,
+			ramPages: 16,
+			...opts,
+		});
+
+		// parameter bytes following each multi-byte command
+		this.PARAM_COUNTS = {
+			0x81: 1, // contrast
+			0xa8: 1, // multiplex
+			0xad: 1, // DC-DC control
+			0xd3: 1, // display offset
+			0xd5: 1, // clock divide
+			0xd9: 1, // precharge
+			0xdb: 1, // vcom detect
+			0xdc: 1, // start line
+		};
+
+		this.reset();
+	}
+
+	_resetChip = () => {
+		this.multiplex = 0x7f;
+		this.verticalAddressing = false;
+		this.dcdc = 0x8a;
+	};
+
+	_paramCount = (opcode) => {
+		return this.PARAM_COUNTS[opcode] || 0;
+	};
+
+	_execute = (opcode, params) => {
+		if (opcode <= 0x0f) {
+			this.column = (this.column & 0xf0) | opcode;
+			return;
+		}
+		if (opcode >= 0x10 && opcode <= 0x17) {
+			this.column = ((opcode & 0x07) << 4) | (this.column & 0x0f);
+			return;
+		}
+		if (opcode >= 0xb0 && opcode <= 0xbf) {
+			this.page = opcode & 0x0f;
+			return;
+		}
+
+		switch (opcode) {
+			case 0x20:
+			case 0x21:
+				this.verticalAddressing = opcode === 0x21;
+				break;
+			case 0xa8:
+				this.multiplex = params[0] & 0x7f;
+				break;
+			case 0xad:
+				this.dcdc = params[0];
+				break;
+			case 0xd3:
+				this.displayOffset = params[0] & 0x7f;
+				break;
+			case 0xdc:
+				this.startLine = params[0] & 0x7f;
+				break;
+			default:
+				this._executeCommon(opcode, params);
+		}
+	};
+
+	_writeData = (byte) => {
+		this._store(this.page, this.column, byte);
+
+		if (this.verticalAddressing) {
+			this.page = (this.page + 1) % this.RAM_PAGES;
+		} else if (this.column < this.RAM_COLUMNS) {
+			this.column++;
+		}
+	};
+}
+
+export default VirtualSH1107;
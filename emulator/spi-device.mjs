@@ -0,0 +1,53 @@
+// In-memory stand-in for an spi-device handle wired to a virtual controller.
+// `dc` and `reset` mimic the GPIO lines and can be handed straight to the
+// SPI transport.
+class EmulatedSpiDevice {
+	constructor(controller) {
+		this.controller = controller;
+		this.transfers = [];
+
+		this._dcLevel = 0;
+		this._resetLevel = 1;
+	}
+
+	// DC line: 0 for commands, 1 for data
+	dc = (level) => {
+		this._dcLevel = level ? 1 : 0;
+	};
+
+	// RESET line, active low
+	reset = (level) => {
+		if (this._resetLevel && !level) {
+			this.controller.reset();
+		}
+		this._resetLevel = level ? 1 : 0;
+	};
+
+	/* ##################################################################################################
+	 * spi-device SpiDevice API
+	 * ##################################################################################################
+	 */
+
+	transfer = (messages, cb) => {
+		messages.forEach((message) => {
+			const bytes = Buffer.from(
+				message.sendBuffer.subarray(0, message.byteLength)
+			);
+			const isData = this._dcLevel === 1;
+
+			this.transfers.push({ dc: this._dcLevel, bytes });
+			for (let i = 0; i < bytes.length; i++) {
+				if (isData) {
+					this.controller.data(bytes[i]);
+				} else {
+					this.controller.command(bytes[i]);
+				}
+			}
+		});
+
+		setImmediate(() => cb(null, messages));
+		return this;
+	};
+}
+
+export default EmulatedSpiDevice;
@@ -0,0 +1,17 @@
+import VirtualSSD1306 from './ssd1306.mjs';
+
+// Virtual SSD1305: SSD1306 command decoding over a 132 column RAM, with the
+// master configuration, area colour and LUT commands.
+class VirtualSSD1305 extends VirtualSSD1306 {
+	constructor(opts = {}) {
+		super({ ramColumns: 132, coloffset: 4, ...opts });
+
+		this.PARAM_COUNTS[0x82] = 1; // brightness
+		this.PARAM_COUNTS[0x91] = 4; // look up table
+		this.PARAM_COUNTS[0xad] = 1; // master configuration
+		this.PARAM_COUNTS[0xd8] = 1; // area colour mode
+		delete this.PARAM_COUNTS[0x8d];
+	}
+}
+
+export default VirtualSSD1305;
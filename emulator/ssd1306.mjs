@@ -0,0 +1,152 @@
+import VirtualController from './controller.mjs';
+
+// Virtual SSD1306: 128x64 GDDRAM with horizontal, vertical and page
+// addressing modes, COLUMN_ADDR/PAGE_ADDR windows and scroll state.
+class VirtualSSD1306 extends VirtualController {
+	constructor(opts = {}) {
+		super({ ramColumns: 128, ramPages: 8, ...opts });
+
+		// parameter bytes following each multi-byte command
+		this.PARAM_COUNTS = {
+			0x20: 1, // memory mode
+			0x21: 2, // column address window
+			0x22: 2, // page address window
+			0x26: 6, // right horizontal scroll
+			0x27: 6, // left horizontal scroll
+			0x29: 5, // vertical and right horizontal scroll
+			0x2a: 5, // vertical and left horizontal scroll
+			0x81: 1, // contrast
+			0x8d: 1, // charge pump
+			0xa3: 2, // vertical scroll area
+			0xa8: 1, // multiplex
+			0xd3: 1, // display offset
+			0xd5: 1, // clock divide
+			0xd9: 1, // precharge
+			0xda: 1, // com pins
+			0xdb: 1, // vcom detect
+		};
+
+		this.reset();
+	}
+
+	_resetChip = () => {
+		// page addressing is the power-on default
+		this.memoryMode = 0x02;
+		this.columnStart = 0;
+		this.columnEnd = this.RAM_COLUMNS - 1;
+		this.pageStart = 0;
+		this.pageEnd = this.RAM_PAGES - 1;
+		this.chargePump = 0x10;
+
+		this.scroll = {
+			active: false,
+			direction: null,
+			startPage: 0,
+			endPage: 0,
+			interval: 0,
+			verticalOffset: 0,
+			verticalArea: [0, this.HEIGHT],
+		};
+	};
+
+	_paramCount = (opcode) => {
+		return this.PARAM_COUNTS[opcode] || 0;
+	};
+
+	_execute = (opcode, params) => {
+		if (this._executeCommon(opcode, params)) {
+			return;
+		}
+
+		// page addressing mode: lower and higher column start nibbles
+		if (opcode <= 0x0f) {
+			this.column = (this.column & 0xf0) | opcode;
+			this.columnStart = this.column;
+			return;
+		}
+		if (opcode >= 0x10 && opcode <= 0x1f) {
+			this.column = ((opcode & 0x0f) << 4) | (this.column & 0x0f);
+			this.columnStart = this.column;
+			return;
+		}
+		// page addressing mode: page start
+		if (opcode >= 0xb0 && opcode <= 0xb7) {
+			this.page = opcode & 0x07;
+			return;
+		}
+
+		switch (opcode) {
+			case 0x20:
+				this.memoryMode = params[0] & 0x03;
+				break;
+			case 0x21:
+				this.columnStart = params[0];
+				this.columnEnd = params[1];
+				this.column = this.columnStart;
+				break;
+			case 0x22:
+				this.pageStart = params[0] & 0x07;
+				this.pageEnd = params[1] & 0x07;
+				this.page = this.pageStart;
+				break;
+			case 0x8d:
+				this.chargePump = params[0];
+				break;
+			case 0x26:
+			case 0x27:
+				this.scroll.direction = opcode === 0x26 ? 'right' : 'left';
+				this.scroll.startPage = params[1] & 0x07;
+				this.scroll.interval = params[2] & 0x07;
+				this.scroll.endPage = params[3] & 0x07;
+				this.scroll.verticalOffset = 0;
+				break;
+			case 0x29:
+			case 0x2a:
+				this.scroll.direction =
+					opcode === 0x29 ? 'right diagonal' : 'left diagonal';
+				this.scroll.startPage = params[1] & 0x07;
+				this.scroll.interval = params[2] & 0x07;
+				this.scroll.endPage = params[3] & 0x07;
+				this.scroll.verticalOffset = params[4] & 0x3f;
+				break;
+			case 0xa3:
+				this.scroll.verticalArea = [params[0] & 0x3f, params[1] & 0x7f];
+				break;
+			case 0x2e:
+				this.scroll.active = false;
+				break;
+			case 0x2f:
+				this.scroll.active = true;
+				break;
+		}
+	};
+
+	_writeData = (byte) => {
+		this._store(this.page, this.column, byte);
+
+		switch (this.memoryMode) {
+			case 0x00: // horizontal
+				if (++this.column > this.columnEnd) {
+					this.column = this.columnStart;
+					if (++this.page > this.pageEnd) {
+						this.page = this.pageStart;
+					}
+				}
+				break;
+			case 0x01: // vertical
+				if (++this.page > this.pageEnd) {
+					this.page = this.pageStart;
+					if (++this.column > this.columnEnd) {
+						this.column = this.columnStart;
+					}
+				}
+				break;
+			default: // page
+				if (++this.column >= this.RAM_COLUMNS) {
+					this.column = this.columnStart;
+				}
+		}
+	};
+}
+
+export default VirtualSSD1306;
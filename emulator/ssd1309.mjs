@@ -0,0 +1,14 @@
+import VirtualSSD1306 from './ssd1306.mjs';
+
+// Virtual SSD1309: SSD1306 command decoding plus the command lock, without
+// a charge pump.
+class VirtualSSD1309 extends VirtualSSD1306 {
+	constructor(opts = {}) {
+		super(opts);
+
+		this.PARAM_COUNTS[0xfd] = 1; // command lock
+		delete this.PARAM_COUNTS[0x8d];
+	}
+}
+
+export default VirtualSSD1309;
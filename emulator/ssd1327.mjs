@@ -0,0 +1,165 @@
+import VirtualController from './controller.mjs';
+
+// Virtual SSD1327: 128x128 pixels at 4 bits each, stored as 64 bytes per
+// row. Data fills the 0x15/0x75 column/row window row by row. The command
+// set overlaps the SSD1306 opcodes with different meanings, so it is
+// decoded here in full.
+class VirtualSSD1327 extends VirtualController {
+	constructor(opts = {}) {
+		// gddram is addressed as [row][byte column]
+		super({
+			width: 128,
+			height: 128,
+			ramColumns: 64,
+			ramPages: 128,
+			...opts,
+		});
+
+		// parameter bytes following each multi-byte command
+		this.PARAM_COUNTS = {
+			0x15: 2, // column address window
+			0x26: 6, // right horizontal scroll
+			0x27: 6, // left horizontal scroll
+			0x75: 2, // row address window
+			0x81: 1, // contrast
+			0xa0: 1, // remap
+			0xa1: 1, // start line
+			0xa2: 1, // display offset
+			0xa8: 1, // multiplex
+			0xab: 1, // function selection A
+			0xb1: 1, // phase length
+			0xb3: 1, // clock divide
+			0xb6: 1, // second precharge
+			0xb8: 15, // gray scale table
+			0xbc: 1, // precharge voltage
+			0xbe: 1, // vcom detect
+			0xd5: 1, // function selection B
+			0xfd: 1, // command lock
+		};
+
+		this.reset();
+	}
+
+	_resetChip = () => {
+		this.multiplex = 0x7f;
+		this.remap = 0x00;
+		this.displayMode = 'normal';
+		this.columnStart = 0;
+		this.columnEnd = this.RAM_COLUMNS - 1;
+		this.rowStart = 0;
+		this.rowEnd = this.RAM_PAGES - 1;
+		this.grayTable = null;
+		this.scroll = { active: false, direction: null };
+	};
+
+	_paramCount = (opcode) => {
+		return this.PARAM_COUNTS[opcode] || 0;
+	};
+
+	_execute = (opcode, params) => {
+		switch (opcode) {
+			case 0x15:
+				this.columnStart = params[0];
+				this.columnEnd = params[1];
+				this.column = this.columnStart;
+				break;
+			case 0x75:
+				this.rowStart = params[0];
+				this.rowEnd = params[1];
+				this.page = this.rowStart;
+				break;
+			case 0x81:
+				this.contrast = params[0];
+				break;
+			case 0xa0:
+				this.remap = params[0];
+				this.segRemap = (params[0] & 0x01) !== 0;
+				this.comScanDec = (params[0] & 0x10) !== 0;
+				break;
+			case 0xa1:
+				this.startLine = params[0] & 0x7f;
+				break;
+			case 0xa2:
+				this.displayOffset = params[0] & 0x7f;
+				break;
+			case 0xa4:
+			case 0xa5:
+			case 0xa6:
+			case 0xa7:
+				this.displayMode = ['normal', 'all on', 'all off', 'inverse'][
+					opcode - 0xa4
+				];
+				this.inverted = opcode === 0xa7;
+				this.entireDisplayOn = opcode === 0xa5;
+				break;
+			case 0xa8:
+				this.multiplex = params[0] & 0x7f;
+				break;
+			case 0xae:
+			case 0xaf:
+				this.displayOn = opcode === 0xaf;
+				break;
+			case 0xb1:
+				this.precharge = params[0];
+				break;
+			case 0xb3:
+				this.clockDiv = params[0];
+				break;
+			case 0xb8:
+				this.grayTable = params;
+				break;
+			case 0xb9:
+				this.grayTable = null;
+				break;
+			case 0xbe:
+				this.vcomDetect = params[0];
+				break;
+			case 0x26:
+			case 0x27:
+				this.scroll.direction = opcode === 0x26 ? 'right' : 'left';
+				break;
+			case 0x2e:
+				this.scroll.active = false;
+				break;
+			case 0x2f:
+				this.scroll.active = true;
+				break;
+		}
+	};
+
+	// horizontal address increment inside the column/row window
+	_writeData = (byte) => {
+		this._store(this.page, this.column, byte);
+
+		if (++this.column > this.columnEnd) {
+			this.column = this.columnStart;
+			if (++this.page > this.rowEnd) {
+				this.page = this.rowStart;
+			}
+		}
+	};
+
+	// the visible RAM in the same nibble-packed row layout as the driver buffer
+	framebuffer = () => {
+		const bytesPerRow = this.WIDTH / 2;
+		const frame = Buffer.alloc(bytesPerRow * this.HEIGHT);
+
+		for (let row = 0; row < this.HEIGHT; row++) {
+			for (let col = 0; col < bytesPerRow; col++) {
+				frame[row * bytesPerRow + col] = this.readRam(
+					row,
+					col + this.COLOFFSET
+				);
+			}
+		}
+		return frame;
+	};
+
+	// gray level at panel coordinates, as stored in RAM
+	getPixel = (x, y) => {
+		const byte = this.readRam(y, (x >> 1) + this.COLOFFSET);
+		return x & 1 ? byte & 0x0f : byte >> 4;
+	};
+}
+
+export default VirtualSSD1327;
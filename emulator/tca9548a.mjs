@@ -0,0 +1,47 @@
+// Virtual TCA9548A I2C multiplexer. Attach it to an EmulatedBus at its own
+// address and attach displays to its channels; the bus reaches them while
+// their channel is enabled in the control register.
+class VirtualTCA9548A {
+	constructor() {
+		this.channels = Array.from({ length: 8 }, () => new Map());
+		this.control = 0x00;
+		// every control register write, for asserting on re-selects
+		this.selections = [];
+	}
+
+	// attach a virtual controller behind a channel
+	attach = (channel, address, device) => {
+		this.channels[channel].set(address, device);
+		return device;
+	};
+
+	// the device answering at address through the enabled channels
+	route = (address) => {
+		for (let channel = 0; channel < this.channels.length; channel++) {
+			if (
+				this.control & (1 << channel) &&
+				this.channels[channel].has(address)
+			) {
+				return this.channels[channel].get(address);
+			}
+		}
+		return null;
+	};
+
+	/* ##################################################################################################
+	 * Bus interface
+	 * ##################################################################################################
+	 */
+
+	// the last byte written is the control register
+	write = (bytes) => {
+		this.control = bytes[bytes.length - 1];
+		this.selections.push(this.control);
+	};
+
+	read = (length) => {
+		return Buffer.alloc(length, this.control);
+	};
+}
+
+export default VirtualTCA9548A;
@@ -0,0 +1,154 @@
+import fs from 'fs';
+import GlyphFont from './glyph-font.mjs';
+
+// A glyph font read from a BDF (Glyph Bitmap Distribution Format) file,
+// such as the X11 misc-fixed or Terminus fonts. Every glyph keeps its own
+// bounding box and advance, characters are keyed by their ENCODING.
+class BDFFont extends GlyphFont {
+	constructor(font) {
+		super(font);
+		// the font's STARTPROPERTIES block, e.g. FAMILY_NAME, PIXEL_SIZE
+		this.properties = font.properties;
+	}
+
+	// load a BDF font from a file path or a Buffer holding the file
+	static load = async (source) => {
+		const text = Buffer.isBuffer(source)
+			? source.toString('latin1')
+			: await fs.promises.readFile(source, 'latin1');
+		return BDFFont.parse(text);
+	};
+
+	// parse the text of a BDF font
+	static parse = (text) => {
+		const lines = text.split(/\r?\n/);
+		if (!lines[0].startsWith('STARTFONT')) {
+			throw new Error('Invalid BDF Font');
+		}
+
+		let name;
+		let fontBox = [0, 0, 0, 0];
+		let fontAdvance;
+		const properties = {};
+		const glyphs = {};
+
+		let i = 0;
+		// the keyword and values of the next line
+		const next = () => {
+			if (i >= lines.length) {
+				throw new Error('Invalid BDF Font');
+			}
+			const line = lines[i++].trim();
+			const space = line.indexOf(' ');
+			return space < 0
+				? [line, '']
+				: [line.slice(0, space), line.slice(space + 1).trim()];
+		};
+		// hand every line up to the end keyword to fn
+		const readUntil = (end, fn) => {
+			let [key, value] = next();
+			while (key !== end) {
+				fn(key, value);
+				[key, value] = next();
+			}
+		};
+		const numbers = (value) => value.split(/\s+/).map(Number);
+
+		while (i < lines.length) {
+			const [keyword, value] = next();
+
+			switch (keyword) {
+				case 'FONT':
+					name = value;
+					break;
+				case 'FONTBOUNDINGBOX':
+					fontBox = numbers(value);
+					break;
+				case 'DWIDTH':
+					fontAdvance = numbers(value)[0];
+					break;
+				case 'STARTPROPERTIES':
+					readUntil('ENDPROPERTIES', (key, prop) => {
+						// strings are quoted, with "" for a quote inside
+						properties[key] = prop.startsWith('"')
+							? prop.slice(1, -1).replace(/""/g, '"')
+							: Number(prop);
+					});
+					break;
+				case 'STARTCHAR': {
+					let encoding = -1;
+					let advance = fontAdvance;
+					let box = fontBox;
+					let rows = [];
+
+					readUntil('ENDCHAR', (key, val) => {
+						if (key === 'ENCODING') {
+							encoding = numbers(val)[0];
+						} else if (key === 'DWIDTH') {
+							advance = numbers(val)[0];
+						} else if (key === 'BBX') {
+							box = numbers(val);
+						} else if (key === 'BITMAP') {
+							rows = lines.slice(i, i + box[1]).map((row) => row.trim());
+							i += box[1];
+						}
+					});
+
+					// glyphs outside the standard encoding have no character, and
+					// glyph columns hold at most 32 rows, taller glyphs are left out
+					// so the rest of the font still loads
+					if (encoding >= 0 && box[1] <= 32) {
+						glyphs[String.fromCodePoint(encoding)] = BDFFont._glyph(
+							box,
+							advance ?? box[0],
+							rows
+						);
+					}
+					break;
+				}
+				default:
+					break;
+			}
+		}
+
+		// the line spans the ascent and descent, down to the baseline by the ascent
+		const ascent = properties.FONT_ASCENT ?? fontBox[1] + fontBox[3];
+		const descent = properties.FONT_DESCENT ?? -fontBox[3];
+
+		return new BDFFont({
+			name,
+			height: ascent + descent,
+			baseline: ascent,
+			glyphs,
+			properties,
+		});
+	};
+
+	// turn the hex rows of a BDF bitmap, leftmost pixel in the top bit of
+	// each row, into glyph columns with the top row in the lowest bit
+	static _glyph = ([width, height, xOffset, yOffset], advance, rows) => {
+		const data = new Array(width).fill(0);
+		rows.forEach((row, y) => {
+			const bits = row.length * 4;
+			const value = BigInt(`0x${row || '0'}`);
+			for (let x = 0; x < width; x++) {
+				if ((value >> BigInt(bits - 1 - x)) & 1n) {
+					data[x] |= 1 << y;
+				}
+			}
+		});
+
+		return {
+			width,
+			height,
+			advance,
+			xOffset,
+			// BBX places the bottom row relative to the baseline, glyphs hang
+			// from their top row
+			yOffset: -(yOffset + height),
+			data,
+		};
+	};
+}
+
+export default BDFFont;
@@ -0,0 +1,51 @@
+import GlyphFont from './glyph-font.mjs';
+
+// A list of fonts drawn as one: each character comes from the first font
+// that has a glyph for it, so e.g. a symbols font can fill in what the main
+// font lacks. Line height, baseline and missing glyphs follow the first
+// font, glyphs from the others sit on the same baseline.
+class FontChain extends GlyphFont {
+	constructor(fonts) {
+		if (!fonts.length) {
+			throw new Error('Font Chain Is Empty');
+		}
+		const chain = fonts.map((font) => GlyphFont.from(font));
+		const [primary] = chain;
+
+		super({
+			name: chain.map((font) => font.name).join(', '),
+			width: Math.max(...chain.map((font) => font.width)),
+			height: primary.height,
+			baseline: primary.baseline,
+			glyphs: {},
+		});
+		this.fonts = chain;
+	}
+
+	// the first font in the chain with a glyph for c
+	_fontFor = (c) => {
+		return this.fonts.find((font) => font.glyph(c));
+	};
+
+	glyph = (c) => {
+		const font = this._fontFor(c);
+		return font && font.glyph(c);
+	};
+
+	// kerning applies between chars drawn from the same font
+	kern = (left, right) => {
+		const font = this._fontFor(right);
+		return font && font === this._fontFor(left) ? font.kern(left, right) : 0;
+	};
+
+	missingGlyph = () => {
+		return this.fonts[0].missingGlyph();
+	};
+
+	advance = (c) => {
+		const font = this._fontFor(c) || this.fonts[0];
+		return font.advance(c);
+	};
+}
+
+export default FontChain;
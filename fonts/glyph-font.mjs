@@ -0,0 +1,287 @@
+// glyph fonts already built from a plain font object
+const fonts = new WeakMap();
+
+// scaled glyph bitmaps, per glyph object
+const rasters = new WeakMap();
+
+// A font with a glyph per character, each with its own size, advance and
+// offsets, as drawn by writeString. Plain font objects are wrapped with
+// GlyphFont.from(), either a proportional font:
+//
+// {
+//   height: 10, // line height
+//   baseline: 8, // rows from the top of the line down to the baseline
+//   glyphs: {
+//     A: { width: 5, height: 7, advance: 6, xOffset: 0, yOffset: -7, data: [...] },
+//   },
+//   kerning: { AV: -1 }, // optional, extra advance between two characters
+// }
+//
+// or a fixed width oled-font-pack font (width, height, lookup, fontData),
+// which is adapted so it draws exactly as before.
+//
+// Glyph data holds one number per column, the top row in the lowest bit,
+// like oled-font-pack. yOffset is from the baseline to the top row of the
+// glyph, so it is negative for anything sitting on the baseline.
+class GlyphFont {
+	constructor(font) {
+		this.name = font.name;
+		this.height = font.height;
+		this.baseline = font.baseline ?? font.height;
+		this.kerning = font.kerning || {};
+
+		this.glyphs = {};
+		Object.entries(font.glyphs).forEach(([c, glyph]) => {
+			const width = glyph.width ?? glyph.data.length;
+			this.glyphs[c] = {
+				width,
+				height: glyph.height ?? this.height,
+				advance: glyph.advance ?? width,
+				xOffset: glyph.xOffset || 0,
+				yOffset: glyph.yOffset ?? -this.baseline,
+				data: glyph.data,
+			};
+		});
+
+		// the widest advance, used when wrapping letter by letter
+		this.width =
+			font.width ??
+			Math.max(0, ...Object.values(this.glyphs).map((g) => g.advance));
+	}
+
+	// the glyph font for a font object, built once per object
+	static from = (font) => {
+		if (font instanceof GlyphFont) {
+			return font;
+		}
+		if (!fonts.has(font)) {
+			const glyphFont = Array.isArray(font.lookup)
+				? GlyphFont.fromMonospace(font)
+				: new GlyphFont(font);
+			fonts.set(font, glyphFont);
+		}
+		return fonts.get(font);
+	};
+
+	// a glyph as a bitmap of width x height bytes, one per pixel row by row,
+	// scaled up size times and turned clockwise by rotation degrees.
+	// Smoothing scales by 2 and 3 with scale2x and scale3x, which round off
+	// diagonal edges, and any other factor left by repeating pixels. Built
+	// once per glyph, scale and rotation.
+	static raster = (glyph, size, smooth, rotation = 0) => {
+		if (!rasters.has(glyph)) {
+			rasters.set(glyph, new Map());
+		}
+		const cache = rasters.get(glyph);
+		const key = `${size}${smooth ? 's' : ''}@${rotation}`;
+
+		if (!cache.has(key)) {
+			let raster = { width: glyph.width, height: glyph.height };
+			raster.bits = new Uint8Array(raster.width * raster.height);
+			for (let x = 0; x < raster.width; x++) {
+				const column = glyph.data[x] || 0;
+				for (let y = 0; y < raster.height; y++) {
+					raster.bits[y * raster.width + x] = (column >> y) & 1;
+				}
+			}
+
+			let factor = size;
+			if (smooth) {
+				for (; factor % 2 === 0; factor /= 2) {
+					raster = GlyphFont._scale2x(raster);
+				}
+				for (; factor % 3 === 0; factor /= 3) {
+					raster = GlyphFont._scale3x(raster);
+				}
+			}
+			raster = GlyphFont._scale(raster, factor);
+			cache.set(key, GlyphFont._turn(raster, rotation));
+		}
+		return cache.get(key);
+	};
+
+	// repeat every pixel factor times across and down
+	static _scale = (raster, factor) => {
+		if (factor === 1) {
+			return raster;
+		}
+		const width = raster.width * factor;
+		const height = raster.height * factor;
+		const bits = new Uint8Array(width * height);
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				const from = Math.floor(y / factor) * raster.width;
+				bits[y * width + x] = raster.bits[from + Math.floor(x / factor)];
+			}
+		}
+		return { width, height, bits };
+	};
+
+	// turn a bitmap clockwise by 90, 180 or 270 degrees
+	static _turn = (raster, rotation) => {
+		if (!rotation) {
+			return raster;
+		}
+		const { width, height } = raster;
+		const turned =
+			rotation === 180 ? { width, height } : { width: height, height: width };
+		turned.bits = new Uint8Array(width * height);
+
+		for (let y = 0; y < turned.height; y++) {
+			for (let x = 0; x < turned.width; x++) {
+				// where the pixel came from before turning
+				let [fx, fy] = [y, height - 1 - x];
+				if (rotation === 180) {
+					[fx, fy] = [width - 1 - x, height - 1 - y];
+				} else if (rotation === 270) {
+					[fx, fy] = [width - 1 - y, x];
+				}
+				turned.bits[y * turned.width + x] = raster.bits[fy * width + fx];
+			}
+		}
+		return turned;
+	};
+
+	// the pixel at x, y, blank outside the bitmap
+	static _pixel = (raster, x, y) => {
+		if (x < 0 || x >= raster.width || y < 0 || y >= raster.height) {
+			return 0;
+		}
+		return raster.bits[y * raster.width + x];
+	};
+
+	// double with scale2x (EPX): each pixel becomes 2x2, a corner takes the
+	// color of the two neighbours it touches when they agree
+	static _scale2x = (raster) => {
+		const width = raster.width * 2;
+		const bits = new Uint8Array(width * raster.height * 2);
+		const at = (x, y) => GlyphFont._pixel(raster, x, y);
+
+		for (let y = 0; y < raster.height; y++) {
+			for (let x = 0; x < raster.width; x++) {
+				const p = at(x, y);
+				const a = at(x, y - 1);
+				const b = at(x + 1, y);
+				const c = at(x - 1, y);
+				const d = at(x, y + 1);
+				const i = 2 * y * width + 2 * x;
+
+				bits[i] = c === a && c !== d && a !== b ? a : p;
+				bits[i + 1] = a === b && a !== c && b !== d ? b : p;
+				bits[i + width] = d === c && d !== b && c !== a ? c : p;
+				bits[i + width + 1] = b === d && b !== a && d !== c ? d : p;
+			}
+		}
+		return { width, height: raster.height * 2, bits };
+	};
+
+	// triple with scale3x, the 3x3 take on scale2x
+	static _scale3x = (raster) => {
+		const width = raster.width * 3;
+		const bits = new Uint8Array(width * raster.height * 3);
+		const at = (x, y) => GlyphFont._pixel(raster, x, y);
+
+		for (let y = 0; y < raster.height; y++) {
+			for (let x = 0; x < raster.width; x++) {
+				// the neighbourhood, row by row
+				const [a, b, c] = [at(x - 1, y - 1), at(x, y - 1), at(x + 1, y - 1)];
+				const [d, e, f] = [at(x - 1, y), at(x, y), at(x + 1, y)];
+				const [g, h, k] = [at(x - 1, y + 1), at(x, y + 1), at(x + 1, y + 1)];
+				const out = [
+					d === b && b !== f && d !== h ? d : e,
+					(d === b && b !== f && d !== h && e !== c) ||
+					(b === f && b !== d && f !== h && e !== a)
+						? b
+						: e,
+					b === f && b !== d && f !== h ? f : e,
+					(d === b && b !== f && d !== h && e !== g) ||
+					(d === h && d !== b && h !== f && e !== a)
+						? d
+						: e,
+					e,
+					(b === f && b !== d && f !== h && e !== k) ||
+					(h === f && d !== h && b !== f && e !== c)
+						? f
+						: e,
+					d === h && d !== b && h !== f ? d : e,
+					(d === h && d !== b && h !== f && e !== k) ||
+					(h === f && d !== h && b !== f && e !== g)
+						? h
+						: e,
+					h === f && d !== h && b !== f ? f : e,
+				];
+
+				const i = 3 * y * width + 3 * x;
+				out.forEach((bit, n) => {
+					bits[i + Math.floor(n / 3) * width + (n % 3)] = bit;
+				});
+			}
+		}
+		return { width, height: raster.height * 3, bits };
+	};
+
+	// adapt a fixed width oled-font-pack font, every glyph fills the whole cell
+	static fromMonospace = (font) => {
+		const glyphs = {};
+		font.lookup.forEach((c, i) => {
+			glyphs[c] = {
+				width: font.width,
+				height: font.height,
+				advance: font.width,
+				xOffset: 0,
+				yOffset: -font.height,
+				data: font.fontData.slice(i * font.width, (i + 1) * font.width),
+			};
+		});
+
+		return new GlyphFont({
+			name: font.name,
+			width: font.width,
+			height: font.height,
+			baseline: font.height,
+			glyphs,
+		});
+	};
+
+	// the glyph drawn for a character, undefined if the font lacks it
+	glyph = (c) => {
+		return this.glyphs[c];
+	};
+
+	// advance adjustment between two neighbouring characters
+	kern = (left, right) => {
+		return (left && this.kerning[left + right]) || 0;
+	};
+
+	// the box drawn in place of characters the font lacks, sized to the font
+	missingGlyph = () => {
+		if (!this._missingGlyph) {
+			const height = Math.min(this.baseline, 32);
+			const width = Math.max(
+				3,
+				Math.min(this.width - 1, Math.round(height * 0.6))
+			);
+			// full columns at the sides, the top and bottom rows in between
+			const side = 2 ** height - 1;
+			const middle = 1 | (1 << (height - 1));
+			this._missingGlyph = {
+				width,
+				height,
+				advance: width + 1,
+				xOffset: 0,
+				yOffset: -height,
+				data: [side, ...new Array(width - 2).fill(middle), side],
+			};
+		}
+		return this._missingGlyph;
+	};
+
+	// how far a character moves the cursor, characters without a glyph take
+	// the space of a blank
+	advance = (c) => {
+		const glyph = this.glyph(c) || this.glyph(' ');
+		return glyph ? glyph.advance : this.width;
+	};
+}
+
+export default GlyphFont;
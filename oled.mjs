@@ -1,8 +1,61 @@
 import SSD1306 from './drivers/ssd1306.mjs';
 import SH1106 from './drivers/sh1106.mjs';
+import SH1107 from './drivers/sh1107.mjs';
+import SSD1305 from './drivers/ssd1305.mjs';
+import SSD1309 from './drivers/ssd1309.mjs';
+import SSD1327 from './drivers/ssd1327.mjs';
 import fs from 'fs';
+import zlib from 'zlib';
 import { PNG } from 'pngjs';
 
+// pixel colours used when exporting the framebuffer as a PNG
+const SNAPSHOT_COLORS = {
+	white: [[255, 255, 255]],
+	blue: [[0, 170, 255]],
+	// two-colour panels: a yellow band on top, blue below
+	'yellow-blue': [
+		[255, 210, 0],
+		[0, 170, 255],
+	],
+};
+
+// PNG file signature and the CRC32 table for chunk checksums, used to
+// write 1 bit images, which pngjs can not
+const PNG_SIGNATURE = Buffer.from([
+	0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+// a PNG chunk: length, type, data and the CRC32 of type and data
+const pngChunk = (type, data) => {
+	const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+	let crc = 0xffffffff;
+	for (const byte of body) {
+		crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	}
+	const chunk = Buffer.alloc(body.length + 8);
+	chunk.writeUInt32BE(data.length, 0);
+	body.copy(chunk, 4);
+	chunk.writeUInt32BE((crc ^ 0xffffffff) >>> 0, body.length + 4);
+	return chunk;
+};
+
+// controller drivers by name, extended through Oled.registerDriver()
+const drivers = new Map([
+	['SSD1306', SSD1306],
+	['SH1106', SH1106],
+	['SH1107', SH1107],
+	['SSD1305', SSD1305],
+	['SSD1309', SSD1309],
+	['SSD1327', SSD1327],
+]);
+
 let pdxb = null;
 let pdyb = null;
 const timers = [];
@@ -10,21 +63,44 @@ const timers = [];
 class Oled {
 	constructor(i2c, opts) {
 		this.DRIVER = opts.driver || 'SSD1306';
-		this.HEIGHT = opts.height || 64;
-		this.WIDTH = opts.width || 128;
-
-		switch (this.DRIVER) {
-			case 'SSD1306':
-				this.api = new SSD1306(i2c, opts);
-				break;
-			case 'SH1106':
-				this.api = new SH1106(i2c, opts);
-				break;
-			default:
-				throw new Error('Unknown Driver');
+
+		const Driver = drivers.get(this.DRIVER);
+		if (!Driver) {
+			throw new Error('Unknown Driver');
 		}
+		this.api = new Driver(i2c, opts);
+
+		// size as resolved by the driver, some default to their native size
+		this.HEIGHT = this.api.HEIGHT;
+		this.WIDTH = this.api.WIDTH;
 	}
 
+	// Method to make a driver class available as opts.driver
+	static registerDriver = (name, DriverClass) => {
+		if (typeof name !== 'string' || !name.length) {
+			throw new Error('Invalid Driver Name');
+		}
+		if (typeof DriverClass !== 'function') {
+			throw new Error('Invalid Driver');
+		}
+		drivers.set(name, DriverClass);
+	};
+
+	// Method to create one display per TCA9548A channel. Channels are numbers
+	// or option objects ({ channel, address, driver, ... }) merged over opts
+	static createMuxDisplays = (i2c, channels, opts = {}) => {
+		return channels.map((entry) => {
+			const { channel, ...channelOpts } =
+				typeof entry === 'object' ? entry : { channel: entry };
+
+			return new Oled(i2c, {
+				...opts,
+				...channelOpts,
+				mux: { ...opts.mux, channel },
+			});
+		});
+	};
+
 	/* ######################################################################
 	 * OLED Controls
 	 * ######################################################################
@@ -50,6 +126,18 @@ class Oled {
 		await this.api.invertDisplay(bool);
 	};
 
+	// Asynchronous method to rotate the display, 90 and 270 swap WIDTH and HEIGHT
+	setRotation = async (rotation) => {
+		await this.api.setRotation(rotation);
+		this.HEIGHT = this.api.HEIGHT;
+		this.WIDTH = this.api.WIDTH;
+	};
+
+	// Asynchronous method to mirror the display
+	setMirror = async (horizontal, vertical) => {
+		await this.api.setMirror(horizontal, vertical);
+	};
+
 	// Method to activate scrolling for rows start through stop
 	startScroll = async (dir, start, stop) => {
 		await this.api.startScroll(dir, start, stop);
@@ -66,6 +154,218 @@ class Oled {
 		await this.api.update();
 	};
 
+	/* ######################################################################
+	 * OLED Render Loop
+	 * ######################################################################
+	 */
+
+	// Method to redraw the display at a target frame rate. drawFn(frame, elapsed)
+	// draws into the buffer, only the bytes that changed since the previous
+	// frame are sent. Ticks missed while a frame is still being sent are
+	// skipped rather than queued. loop.done settles when the loop ends,
+	// rejecting with the error if drawFn throws.
+	startLoop = (fps, drawFn) => {
+		if (!(fps > 0)) {
+			throw new Error('Invalid Frame Rate');
+		}
+		if (typeof drawFn !== 'function') {
+			throw new Error('Invalid Draw Function');
+		}
+		// the previous loop's last frame goes out before this one starts
+		const stopped = this.stopLoop();
+
+		const interval = 1000 / fps;
+		const started = performance.now();
+		let next = started;
+		let sampleStart = started;
+		let sampleFrames = 0;
+
+		// returned to the caller, fps is measured over the last second
+		const loop = {
+			fps: 0,
+			frames: 0,
+			skipped: 0,
+			running: true,
+			timer: null,
+			current: stopped,
+			// only stops this loop, not one started after it
+			stop: () => {
+				if (this.loop === loop) {
+					return this.stopLoop();
+				}
+				loop.running = false;
+				return Promise.resolve(loop.current);
+			},
+		};
+		loop.done = new Promise((resolve, reject) => {
+			loop._settle = (err) => (err ? reject(err) : resolve());
+		});
+
+		const tick = async () => {
+			this.api.beginFrame();
+			try {
+				await drawFn(loop.frames, performance.now() - started);
+			} finally {
+				await this.api.endFrame();
+			}
+			loop.frames++;
+			sampleFrames++;
+
+			const now = performance.now();
+			if (now - sampleStart >= 1000) {
+				loop.fps = (sampleFrames * 1000) / (now - sampleStart);
+				sampleStart = now;
+				sampleFrames = 0;
+			}
+
+			// drop the ticks that passed while this frame was drawn and sent
+			next += interval;
+			if (now > next) {
+				const missed = Math.floor((now - next) / interval) + 1;
+				loop.skipped += missed;
+				next += missed * interval;
+			}
+			schedule(next - now);
+		};
+
+		const schedule = (delay) => {
+			if (!loop.running) {
+				return;
+			}
+			loop.timer = setTimeout(() => {
+				loop.current = tick().catch((err) => {
+					loop.running = false;
+					if (this.loop === loop) {
+						this.loop = null;
+					}
+					loop._settle(err);
+				});
+			}, delay);
+		};
+
+		this.loop = loop;
+		stopped.then(() => {
+			// the first frame goes out whole, whatever was sent before
+			this.api.frontBuffer = null;
+			schedule(0);
+		});
+		return loop;
+	};
+
+	// Asynchronous method to stop the render loop, resolves once the frame in
+	// progress has been sent
+	stopLoop = async () => {
+		const loop = this.loop;
+		if (!loop) {
+			return;
+		}
+		this.loop = null;
+
+		loop.running = false;
+		clearTimeout(loop.timer);
+		await loop.current;
+		// drawing after the loop is not diffed against its frames
+		this.api.frontBuffer = null;
+		loop._settle();
+	};
+
+	/* ######################################################################
+	 * OLED Snapshots
+	 * ######################################################################
+	 */
+
+	// Method to encode the framebuffer as a PNG image buffer
+	toPNG = (opts = {}) => {
+		const scale = Math.max(1, Math.floor(opts.scale || 1));
+		const mono = opts.format === 'mono';
+		const inverted = !!opts.inverted;
+		const splitRow = opts.splitRow ?? 16;
+
+		// monochrome snapshots are always black and white
+		const color = mono ? 'white' : opts.color || 'white';
+		const palette = Array.isArray(color) ? [color] : SNAPSHOT_COLORS[color];
+		if (!palette) {
+			throw new Error('Unknown Snapshot Color');
+		}
+
+		// brightest value a pixel can hold, 1 on monochrome panels
+		const maxLevel = (1 << this.api.BITS_PER_PIXEL) - 1;
+		const levelAt = (x, y) => {
+			const level = this.api.getPixel(x, y);
+			return inverted ? maxLevel - level : level;
+		};
+
+		if (mono) {
+			// gray levels from half brightness up are white
+			return this._monoPNG(scale, (x, y) => levelAt(x, y) * 2 > maxLevel);
+		}
+
+		const png = new PNG({
+			width: this.WIDTH * scale,
+			height: this.HEIGHT * scale,
+		});
+
+		for (let y = 0; y < this.HEIGHT; y++) {
+			const on = y < splitRow ? palette[0] : palette[palette.length - 1];
+
+			for (let x = 0; x < this.WIDTH; x++) {
+				const level = levelAt(x, y);
+				const rgb = on.map((c) => Math.round((c * level) / maxLevel));
+
+				// paint a scale x scale block for each pixel
+				for (let sy = 0; sy < scale; sy++) {
+					let idx = ((y * scale + sy) * png.width + x * scale) << 2;
+					for (let sx = 0; sx < scale; sx++) {
+						png.data[idx] = rgb[0];
+						png.data[idx + 1] = rgb[1];
+						png.data[idx + 2] = rgb[2];
+						png.data[idx + 3] = 0xff;
+						idx += 4;
+					}
+				}
+			}
+		}
+
+		return PNG.sync.write(png, { colorType: 6 });
+	};
+
+	// encode a black and white PNG at 1 bit per pixel, lit(x, y) tells
+	// which display pixels are white
+	_monoPNG = (scale, lit) => {
+		const width = this.WIDTH * scale;
+		const height = this.HEIGHT * scale;
+
+		// every row starts with its filter type (0, none), then the pixels
+		// eight to a byte, the leftmost in the top bit
+		const stride = Math.ceil(width / 8) + 1;
+		const rows = Buffer.alloc(stride * height);
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				if (lit(Math.floor(x / scale), Math.floor(y / scale))) {
+					rows[y * stride + 1 + (x >> 3)] |= 0x80 >> (x & 7);
+				}
+			}
+		}
+
+		const header = Buffer.alloc(13);
+		header.writeUInt32BE(width, 0);
+		header.writeUInt32BE(height, 4);
+		header[8] = 1; // bit depth
+		header[9] = 0; // grayscale, compression, filter and interlace all 0
+
+		return Buffer.concat([
+			PNG_SIGNATURE,
+			pngChunk('IHDR', header),
+			pngChunk('IDAT', zlib.deflateSync(rows)),
+			pngChunk('IEND', Buffer.alloc(0)),
+		]);
+	};
+
+	// Asynchronous method to save the framebuffer as a PNG file
+	saveSnapshot = async (path, opts) => {
+		await fs.promises.writeFile(path, this.toPNG(opts));
+	};
+
 	/* ######################################################################
 	 * OLED Drawings
 	 * ######################################################################
@@ -76,6 +376,26 @@ class Oled {
 		await this.api.clearDisplay(sync);
 	};
 
+	// Method to choose how drawing combines with the framebuffer
+	setDrawMode = (mode) => {
+		this.api.setDrawMode(mode);
+	};
+
+	// Method to move the drawing origin
+	translate = (dx, dy) => {
+		this.api.translate(dx, dy);
+	};
+
+	// Method to limit drawing to a rectangle
+	pushClip = (x, y, w, h) => {
+		this.api.pushClip(x, y, w, h);
+	};
+
+	// Method to restore the clip and origin from before the last pushClip
+	popClip = () => {
+		this.api.popClip();
+	};
+
 	// Method to set starting position of a text string on the oled
 	setCursor = async (x, y) => {
 		await this.api.setCursor(x, y);
@@ -106,9 +426,79 @@ class Oled {
 		await this.api.fillRect(x, y, w, h, color, sync);
 	};
 
+	// Method to draw a rectangle outline
+	drawRect = async (x, y, w, h, color, sync) => {
+		await this.api.drawRect(x, y, w, h, color, sync);
+	};
+
+	// Method to draw a rectangle outline with rounded corners
+	drawRoundRect = async (x, y, w, h, r, color, sync) => {
+		await this.api.drawRoundRect(x, y, w, h, r, color, sync);
+	};
+
+	// Method to draw a filled rectangle with rounded corners
+	fillRoundRect = async (x, y, w, h, r, color, sync) => {
+		await this.api.fillRoundRect(x, y, w, h, r, color, sync);
+	};
+
+	// Method to draw a triangle outline
+	drawTriangle = async (x0, y0, x1, y1, x2, y2, color, sync) => {
+		await this.api.drawTriangle(x0, y0, x1, y1, x2, y2, color, sync);
+	};
+
+	// Method to draw a filled triangle
+	fillTriangle = async (x0, y0, x1, y1, x2, y2, color, sync) => {
+		await this.api.fillTriangle(x0, y0, x1, y1, x2, y2, color, sync);
+	};
+
+	// Method to draw a polygon outline through a list of [x, y] points
+	drawPolygon = async (points, color, sync) => {
+		await this.api.drawPolygon(points, color, sync);
+	};
+
+	// Method to draw a filled polygon through a list of [x, y] points
+	fillPolygon = async (points, color, sync) => {
+		await this.api.fillPolygon(points, color, sync);
+	};
+
+	// Method to draw a circle outline
+	drawCircle = async (x0, y0, r, color, sync) => {
+		await this.api.drawCircle(x0, y0, r, color, sync);
+	};
+
+	// Method to draw a filled circle
+	fillCircle = async (x0, y0, r, color, sync) => {
+		await this.api.fillCircle(x0, y0, r, color, sync);
+	};
+
+	// Method to draw an ellipse outline
+	drawEllipse = async (x0, y0, rx, ry, color, sync) => {
+		await this.api.drawEllipse(x0, y0, rx, ry, color, sync);
+	};
+
+	// Method to draw a filled ellipse
+	fillEllipse = async (x0, y0, rx, ry, color, sync) => {
+		await this.api.fillEllipse(x0, y0, rx, ry, color, sync);
+	};
+
+	// Method to draw an arc, or a filled pie slice
+	drawArc = async (x0, y0, r, startAngle, endAngle, color, fill, sync) => {
+		await this.api.drawArc(x0, y0, r, startAngle, endAngle, color, fill, sync);
+	};
+
 	// Method to write text to the oled
-	writeString = async (font, size, string, color, wrap, sync) => {
-		await this.api.writeString(font, size, string, color, wrap, sync);
+	writeString = async (font, size, string, color, wrap, sync, opts) => {
+		await this.api.writeString(font, size, string, color, wrap, sync, opts);
+	};
+
+	// Method to write text wrapped, clamped and truncated inside a box
+	drawTextBox = async (x, y, w, h, text, opts) => {
+		return this.api.drawTextBox(x, y, w, h, text, opts);
+	};
+
+	// Method to measure text before writing it
+	measureText = (font, size, string, opts) => {
+		return this.api.measureText(font, size, string, opts);
 	};
 
 	// Method to draw an RGBA image at the specified coordinates
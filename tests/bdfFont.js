@@ -0,0 +1,186 @@
+import SSD1306 from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1306 from '../emulator/ssd1306.mjs';
+import BDFFont from '../fonts/bdf.mjs';
+import font from 'oled-font-pack';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	height: HEIGHT,
+	address: 0x3c,
+	driver: 'SSD1306',
+};
+
+// a 7 pixel font with an A on the baseline, a g hanging below it, and a
+// glyph without an encoding and one too tall to draw, which are skipped
+const BDF = `STARTFONT 2.1
+FONT -test-tiny-medium-r-normal--7-70-75-75-c-60-iso10646-1
+SIZE 7 75 75
+FONTBOUNDINGBOX 5 7 0 -1
+STARTPROPERTIES 3
+FAMILY_NAME "Tiny ""Test"""
+FONT_ASCENT 6
+FONT_DESCENT 1
+ENDPROPERTIES
+CHARS 4
+STARTCHAR A
+ENCODING 65
+DWIDTH 6 0
+BBX 5 6 0 0
+BITMAP
+20
+50
+88
+F8
+88
+88
+ENDCHAR
+STARTCHAR g
+ENCODING 103
+DWIDTH 5 0
+BBX 4 5 0 -1
+BITMAP
+70
+90
+70
+10
+E0
+ENDCHAR
+STARTCHAR unencoded
+ENCODING -1
+DWIDTH 6 0
+BBX 5 6 0 0
+BITMAP
+F8
+F8
+F8
+F8
+F8
+F8
+ENDCHAR
+STARTCHAR tall
+ENCODING 124
+DWIDTH 2 0
+BBX 1 33 0 -1
+BITMAP
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+80
+ENDCHAR
+ENDFONT
+`;
+
+const check = (ok, message) => {
+	if (!ok) {
+		throw new Error(message);
+	}
+};
+
+const initializeDisplay = async () => {
+	try {
+		const i2cBus = new EmulatedBus();
+		const panel = i2cBus.attach(
+			opts.address,
+			new VirtualSSD1306({ width: WIDTH, height: HEIGHT })
+		);
+		const oled = new SSD1306(i2cBus, opts);
+		const pixel = (x, y) => panel.getPixel(x, y);
+
+		const tiny = await BDFFont.load(Buffer.from(BDF, 'latin1'));
+		check(tiny.height === 7 && tiny.baseline === 6, 'Wrong line metrics');
+		check(
+			tiny.properties.FAMILY_NAME === 'Tiny "Test"',
+			'Quoted property not unescaped'
+		);
+		check(
+			Object.keys(tiny.glyphs).join('') === 'Ag',
+			'Unencoded or tall glyph was not skipped'
+		);
+
+		let invalid = false;
+		try {
+			BDFFont.parse('FONT nope');
+		} catch (err) {
+			invalid = err.message === 'Invalid BDF Font';
+		}
+		check(invalid, 'Invalid BDF was accepted');
+
+		await oled.clearDisplay(true);
+
+		// the A fills rows 0-5, the g sits from row 2 down to the descender
+		await oled.setCursor(0, 0);
+		await oled.writeString(tiny, 1, 'Ag', 1, false, true);
+		check(pixel(2, 0) && !pixel(0, 0) && pixel(0, 3), 'A drawn wrong');
+		check(pixel(8, 2) && !pixel(7, 2) && pixel(10, 5), 'g drawn wrong');
+		check(pixel(7, 6) && !pixel(10, 6), 'g descender drawn wrong');
+
+		// B comes from the second font in the chain, the snowman from neither
+		// and is drawn as the first font's missing glyph box
+		const chain = [tiny, font.oled_5x7];
+		check(
+			oled.measureText(chain, 1, 'AB').width === 12,
+			'Chain measured wrong'
+		);
+		check(
+			oled.api._glyphFont(chain) === oled.api._glyphFont(chain),
+			'Chain was built again for the same list'
+		);
+		await oled.setCursor(0, 16);
+		await oled.writeString(chain, 1, 'AB☃', 1, false, true);
+		let fromSecond = 0;
+		for (let y = 14; y < 24; y++) {
+			for (let x = 7; x < 12; x++) {
+				fromSecond += pixel(x, y);
+			}
+		}
+		check(fromSecond > 0, 'B was not drawn from the fallback font');
+		check(
+			pixel(13, 16) && pixel(13, 21) && pixel(16, 16) && !pixel(14, 18),
+			'Missing glyph box drawn wrong'
+		);
+
+		check(
+			panel.framebuffer().equals(oled.api.buffer),
+			'GDDRAM does not match the framebuffer'
+		);
+
+		console.log(panel.toAscii());
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
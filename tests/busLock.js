@@ -0,0 +1,81 @@
+import Oled from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1306 from '../emulator/ssd1306.mjs';
+import VirtualSH1106 from '../emulator/sh1106.mjs';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	height: HEIGHT,
+};
+
+const initializeDisplay = async () => {
+	try {
+		const i2cBus = new EmulatedBus();
+		const panels = {
+			0x3c: i2cBus.attach(
+				0x3c,
+				new VirtualSSD1306({ width: WIDTH, height: HEIGHT })
+			),
+			0x3d: i2cBus.attach(
+				0x3d,
+				new VirtualSH1106({ width: WIDTH, height: HEIGHT })
+			),
+		};
+		const left = new Oled(i2cBus, { ...opts, address: 0x3c });
+		const right = new Oled(i2cBus, {
+			...opts,
+			address: 0x3d,
+			driver: 'SH1106',
+		});
+
+		// drawn straight after construction and without waiting on each other
+		await Promise.all([
+			left.clearDisplay(true),
+			right.clearDisplay(true),
+			left.fillRect(0, 0, 20, 20, 1, true),
+			right.fillRect(0, 0, 20, 20, 1, true),
+			left.drawLine(0, HEIGHT - 1, WIDTH - 1, 0, 1, true),
+			right.drawLine(0, 0, WIDTH - 1, HEIGHT - 1, 1, true),
+		]);
+
+		const { transactions } = i2cBus;
+
+		// each display is initialised, in the order they were created, before
+		// anything else is sent to it
+		const isInit = (t) =>
+			t.type === 'write' && t.bytes[0] === 0x00 && t.bytes[1] === 0xae;
+		if (!isInit(transactions[0]) || transactions[0].address !== 0x3c) {
+			throw new Error('SSD1306 was not initialised first');
+		}
+		if (!isInit(transactions[1]) || transactions[1].address !== 0x3d) {
+			throw new Error('SH1106 was not initialised second');
+		}
+
+		// every flush starts with a status read, and nothing from the other
+		// display may come between it and the flush's last write
+		let address = null;
+		transactions.slice(2).forEach((t, i) => {
+			if (t.type === 'read') {
+				address = t.address;
+			} else if (t.address !== address) {
+				throw new Error(`Transaction ${i + 2} split another flush`);
+			}
+		});
+
+		[left, right].forEach((oled) => {
+			const panel = panels[oled.api.ADDRESS];
+			if (!panel.framebuffer().equals(oled.api.buffer)) {
+				throw new Error('GDDRAM does not match the framebuffer');
+			}
+		});
+
+		console.log(`${transactions.length} transactions, none interleaved`);
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
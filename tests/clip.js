@@ -0,0 +1,88 @@
+import SSD1306 from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1306 from '../emulator/ssd1306.mjs';
+import font from 'oled-font-pack';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	height: HEIGHT,
+	address: 0x3c,
+	driver: 'SSD1306',
+};
+
+const check = (ok, message) => {
+	if (!ok) {
+		throw new Error(message);
+	}
+};
+
+const initializeDisplay = async () => {
+	try {
+		const i2cBus = new EmulatedBus();
+		const panel = i2cBus.attach(
+			opts.address,
+			new VirtualSSD1306({ width: WIDTH, height: HEIGHT })
+		);
+		const oled = new SSD1306(i2cBus, opts);
+
+		// every lit pixel has to fall inside the rectangle
+		const litOnlyIn = (x0, y0, w, h) => {
+			for (let y = 0; y < HEIGHT; y++) {
+				for (let x = 0; x < WIDTH; x++) {
+					const inside = x >= x0 && x < x0 + w && y >= y0 && y < y0 + h;
+					if (!inside && panel.getPixel(x, y)) {
+						return false;
+					}
+				}
+			}
+			return true;
+		};
+
+		await oled.clearDisplay(true);
+
+		// a widget in the right half, drawn in its own coordinates
+		oled.pushClip(64, 16, 40, 24);
+		oled.translate(64, 16);
+		await oled.fillRect(-10, -10, 100, 100, 1, false);
+		await oled.drawLine(0, 0, 200, 200, 0, false);
+		await oled.setCursor(0, 0);
+		await oled.writeString(font.oled_5x7, 1, 'wraps inside the clip', 0, true);
+		check(litOnlyIn(64, 16, 40, 24), 'Drew outside the clip');
+		check(panel.getPixel(64 + 39, 16 + 23), 'Clip corner not drawn');
+
+		// nested clips are cut down to the one already active
+		oled.pushClip(30, 0, 40, 40);
+		await oled.fillRect(0, 0, 128, 64, 0, true);
+		check(
+			!panel.getPixel(64 + 30, 16) && panel.getPixel(64 + 29, 16),
+			'Nested clip was not cut down'
+		);
+		oled.popClip();
+
+		// popping restores the origin from before the matching push
+		oled.popClip();
+		await oled.drawPixel([[0, 0, 1]], true);
+		check(panel.getPixel(0, 0), 'Origin not restored by popClip');
+
+		let threw = false;
+		try {
+			oled.popClip();
+		} catch (err) {
+			threw = true;
+		}
+		check(threw, 'popClip with no clip left did not throw');
+
+		if (!panel.framebuffer().equals(oled.api.buffer)) {
+			throw new Error('GDDRAM does not match the framebuffer');
+		}
+
+		console.log(panel.toAscii());
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
@@ -0,0 +1,111 @@
+import SSD1306 from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1306 from '../emulator/ssd1306.mjs';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	height: HEIGHT,
+	address: 0x3c,
+	driver: 'SSD1306',
+};
+
+// fail unless the writes since the last check match byte for byte
+const expectWrites = (i2cBus, label, expected) => {
+	const writes = i2cBus.writesTo(opts.address);
+	i2cBus.clearTransactions();
+	if (JSON.stringify(writes) !== JSON.stringify(expected)) {
+		throw new Error(
+			`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(
+				writes
+			)}`
+		);
+	}
+};
+
+const initializeDisplay = async () => {
+	try {
+		const i2cBus = new EmulatedBus();
+		const panel = i2cBus.attach(
+			opts.address,
+			new VirtualSSD1306({ width: WIDTH, height: HEIGHT })
+		);
+		const oled = new SSD1306(i2cBus, opts);
+
+		await oled.clearDisplay(true);
+		i2cBus.clearTransactions();
+
+		// a clean gap shorter than a new window is resent with its neighbours
+		await oled.drawPixel(
+			[
+				[10, 0, 1],
+				[14, 0, 1],
+			],
+			true
+		);
+		expectWrites(i2cBus, 'near pixels', [
+			[0x00, 0x21, 10, 14, 0x22, 0, 0],
+			[0x40, 0x01, 0x00, 0x00, 0x00, 0x01],
+		]);
+
+		// far apart changes go out as separate windows
+		await oled.drawPixel(
+			[
+				[0, 8, 1],
+				[100, 8, 1],
+			],
+			true
+		);
+		expectWrites(i2cBus, 'far pixels', [
+			[0x00, 0x21, 0, 0, 0x22, 1, 1],
+			[0x40, 0x01],
+			[0x00, 0x21, 100, 100, 0x22, 1, 1],
+			[0x40, 0x01],
+		]);
+
+		// runs in the same columns on neighbouring pages merge into one rectangle
+		await oled.fillRect(20, 16, 4, 16, 1, true);
+		expectWrites(i2cBus, 'rectangle', [
+			[0x00, 0x21, 20, 23, 0x22, 2, 3],
+			[0x40, ...new Array(8).fill(0xff)],
+		]);
+
+		if (!panel.framebuffer().equals(oled.api.buffer)) {
+			throw new Error('GDDRAM does not match the framebuffer');
+		}
+
+		// adapters limited to 32 byte transfers get the frame in chunks, each
+		// with its own control byte
+		const smallBus = new EmulatedBus();
+		const smallPanel = smallBus.attach(
+			opts.address,
+			new VirtualSSD1306({ width: WIDTH, height: HEIGHT })
+		);
+		const small = new SSD1306(smallBus, { ...opts, maxTransferSize: 32 });
+
+		await small.api.ready;
+		smallBus.clearTransactions();
+		await small.fillRect(0, 0, WIDTH, HEIGHT, 1, true);
+
+		const chunks = smallBus.writesTo(opts.address).slice(1);
+		const data = chunks.flatMap((chunk) => chunk.slice(1));
+		if (
+			chunks.length !== 34 ||
+			chunks.some((chunk) => chunk.length > 32 || chunk[0] !== 0x40) ||
+			data.length !== 1024
+		) {
+			throw new Error('Frame was not split into 32 byte transfers');
+		}
+		if (!smallPanel.framebuffer().equals(small.api.buffer)) {
+			throw new Error('GDDRAM does not match the framebuffer');
+		}
+
+		console.log(panel.toAscii());
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
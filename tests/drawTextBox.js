@@ -0,0 +1,120 @@
+import SSD1306 from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1306 from '../emulator/ssd1306.mjs';
+import font from 'oled-font-pack';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	height: HEIGHT,
+	address: 0x3c,
+	driver: 'SSD1306',
+};
+
+const check = (ok, message) => {
+	if (!ok) {
+		throw new Error(message);
+	}
+};
+
+const initializeDisplay = async () => {
+	try {
+		const i2cBus = new EmulatedBus();
+		const panel = i2cBus.attach(
+			opts.address,
+			new VirtualSSD1306({ width: WIDTH, height: HEIGHT })
+		);
+		const oled = new SSD1306(i2cBus, opts);
+		const textOpts = { font: font.oled_5x7 };
+
+		// the lines a box lays text out in
+		const layout = async (w, h, text, boxOpts = {}) => {
+			await oled.clearDisplay(false);
+			return oled.drawTextBox(0, 0, w, h, text, {
+				...textOpts,
+				...boxOpts,
+				sync: false,
+			});
+		};
+		const texts = (result) => result.lines.map((line) => line.text);
+
+		// text that fits the width stays on one line
+		for (const [w, text] of [
+			[128, 'a b c d e f'],
+			[128, 'connect to the server'],
+			[120, 'Bohemian Rhapsody -'],
+		]) {
+			const result = await layout(w, 8, text);
+			check(
+				texts(result).join('|') === text && !result.truncated,
+				`"${text}" wrapped in a ${w}px box`
+			);
+		}
+
+		// words move on only when they would pass the edge, long words break
+		// between letters
+		let result = await layout(40, 64, 'one two three');
+		check(texts(result).join('|') === 'one|two|three', 'Word wrap');
+		result = await layout(40, 64, 'abcdefghijklmnop qr');
+		check(texts(result).join('|') === 'abcdef|ghijkl|mnop|qr', 'Letter wrap');
+
+		// cut to the lines that fit, the last one ending in the ellipsis
+		result = await layout(60, 8, 'one two three four');
+		check(
+			texts(result).join('|') === 'one two...' && result.truncated,
+			'Ellipsis'
+		);
+		result = await layout(60, 24, 'one two three four five six', {
+			maxLines: 2,
+		});
+		check(result.lines.length === 2, 'maxLines');
+
+		// no returned line is wider than a box too narrow for the ellipsis
+		for (const w of [10, 3]) {
+			result = await layout(w, 8, 'hello world');
+			check(
+				result.lines.every((line) => line.width <= w),
+				`Line wider than a ${w}px box`
+			);
+		}
+
+		// shrinks to the largest size that fits
+		result = await layout(128, 32, 'shrink to fit', {
+			size: 3,
+			shrink: true,
+		});
+		check(result.size === 2 && !result.truncated, 'Shrink to fit');
+
+		// drawn inside the box only, the cursor left where it was
+		await oled.clearDisplay(true);
+		await oled.setCursor(5, 50);
+		await oled.drawTextBox(
+			20,
+			10,
+			30,
+			16,
+			'nothing outside this box is drawn',
+			textOpts
+		);
+		check(oled.api.cursor_x === 5 && oled.api.cursor_y === 50, 'Cursor moved');
+		for (let y = 0; y < HEIGHT; y++) {
+			for (let x = 0; x < WIDTH; x++) {
+				const inside = x >= 20 && x < 50 && y >= 10 && y < 26;
+				check(inside || !panel.getPixel(x, y), `Drew outside at ${x},${y}`);
+			}
+		}
+
+		check(
+			panel.framebuffer().equals(oled.api.buffer),
+			'GDDRAM does not match the framebuffer'
+		);
+
+		console.log(panel.toAscii());
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
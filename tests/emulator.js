@@ -0,0 +1,88 @@
+import SSD1306 from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1306 from '../emulator/ssd1306.mjs';
+import font from 'oled-font-pack';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	height: HEIGHT,
+	address: 0x3c,
+	driver: 'SSD1306',
+};
+
+// the SSD1306 128x64 init sequence, after the 0x00 command control byte
+const INIT_SEQ = [
+	0x00, 0xae, 0xd5, 0x80, 0xa8, 0x3f, 0xd3, 0x00, 0x00, 0x8d, 0x14, 0x20, 0x00,
+	0xa1, 0xc8, 0xda, 0x12, 0x81, 0x8f, 0xd9, 0xf1, 0xdb, 0x40, 0xa4, 0xa6, 0xaf,
+];
+
+// the whole frame as one address window: columns 0-127, pages 0-7
+const FULL_WINDOW = [0x00, 0x21, 0x00, 0x7f, 0x22, 0x00, 0x07];
+
+// fail unless the recorded transactions match the expected ones byte for byte
+const expectTransactions = (transactions, expected) => {
+	const describe = (t) =>
+		t ? `${t.type} ${Buffer.from(t.bytes).toString('hex')}` : 'nothing';
+	const count = Math.max(transactions.length, expected.length);
+	for (let i = 0; i < count; i++) {
+		const actual = transactions[i];
+		const wanted = expected[i];
+		if (
+			!actual ||
+			!wanted ||
+			actual.type !== wanted.type ||
+			actual.address !== opts.address ||
+			!actual.bytes.equals(Buffer.from(wanted.bytes))
+		) {
+			throw new Error(
+				`Transaction ${i}: expected ${describe(wanted)}, got ${describe(
+					actual
+				)}`
+			);
+		}
+	}
+};
+
+const initializeDisplay = async () => {
+	try {
+		const i2cBus = new EmulatedBus();
+		const panel = i2cBus.attach(
+			opts.address,
+			new VirtualSSD1306({ width: WIDTH, height: HEIGHT })
+		);
+		const oled = new SSD1306(i2cBus, opts);
+
+		// drawn straight after construction, still goes out after the init
+		await oled.clearDisplay(true);
+
+		await oled.drawLine(0, 0, WIDTH - 1, HEIGHT - 1, 1, false);
+		await oled.setCursor(10, 10);
+		await oled.writeString(font.oled_5x7, 2, 'Hello', 1, false, true);
+
+		if (!panel.framebuffer().equals(oled.api.buffer)) {
+			console.log('GDDRAM does not match the framebuffer');
+			process.exit(1);
+		}
+
+		// init, then a status read before each frame, its window and its data
+		expectTransactions(i2cBus.transactions, [
+			{ type: 'write', bytes: INIT_SEQ },
+			{ type: 'read', bytes: [0x00] },
+			{ type: 'write', bytes: FULL_WINDOW },
+			{ type: 'write', bytes: [0x40, ...new Array(1024).fill(0)] },
+			{ type: 'read', bytes: [0x00] },
+			{ type: 'write', bytes: FULL_WINDOW },
+			{ type: 'write', bytes: [0x40, ...oled.api.buffer] },
+		]);
+
+		console.log(panel.toAscii());
+		console.log(`${i2cBus.transactions.length} transactions`);
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
@@ -0,0 +1,74 @@
+import Oled from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1306 from '../emulator/ssd1306.mjs';
+import VirtualTCA9548A from '../emulator/tca9548a.mjs';
+import TCA9548A from '../transports/tca9548a.mjs';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	height: HEIGHT,
+	address: 0x3c,
+	driver: 'SSD1306',
+	mux: { address: 0x70 },
+};
+
+// fail unless the mux control register writes so far match
+const expectSelections = (mux, label, expected) => {
+	if (JSON.stringify(mux.selections) !== JSON.stringify(expected)) {
+		throw new Error(
+			`${label}: expected selections ${JSON.stringify(
+				expected
+			)}, got ${JSON.stringify(mux.selections)}`
+		);
+	}
+};
+
+const initializeDisplay = async () => {
+	try {
+		const i2cBus = new EmulatedBus();
+		const mux = i2cBus.attach(opts.mux.address, new VirtualTCA9548A());
+		const panels = [0, 1].map((channel) =>
+			mux.attach(
+				channel,
+				opts.address,
+				new VirtualSSD1306({ width: WIDTH, height: HEIGHT })
+			)
+		);
+		const [left, right] = Oled.createMuxDisplays(i2cBus, [0, 1], opts);
+
+		await Promise.all([left.api.ready, right.api.ready]);
+		expectSelections(mux, 'init', [0x01, 0x02]);
+
+		// consecutive transactions on one channel select it once
+		await left.clearDisplay(true);
+		await left.fillRect(0, 0, 10, 10, 1, true);
+		expectSelections(mux, 'left', [0x01, 0x02, 0x01]);
+
+		await right.clearDisplay(true);
+		await right.fillRect(20, 20, 10, 10, 1, true);
+		expectSelections(mux, 'right', [0x01, 0x02, 0x01, 0x02]);
+
+		await left.drawPixel([[64, 32, 1]], true);
+		expectSelections(mux, 'back to left', [0x01, 0x02, 0x01, 0x02, 0x01]);
+
+		// something else touched the mux, the channel is written again
+		TCA9548A.forBus(i2cBus, opts.mux.address).invalidate();
+		await left.drawPixel([[65, 32, 1]], true);
+		expectSelections(mux, 'invalidated', [0x01, 0x02, 0x01, 0x02, 0x01, 0x01]);
+
+		[left, right].forEach((oled, channel) => {
+			if (!panels[channel].framebuffer().equals(oled.api.buffer)) {
+				throw new Error(`GDDRAM on channel ${channel} does not match`);
+			}
+		});
+
+		console.log(`${mux.selections.length} channel selections`);
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
@@ -0,0 +1,121 @@
+import SSD1306 from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1306 from '../emulator/ssd1306.mjs';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	height: HEIGHT,
+	address: 0x3c,
+	driver: 'SSD1306',
+};
+
+const check = (ok, message) => {
+	if (!ok) {
+		throw new Error(message);
+	}
+};
+
+const initializeDisplay = async () => {
+	try {
+		const i2cBus = new EmulatedBus();
+		const panel = i2cBus.attach(
+			opts.address,
+			new VirtualSSD1306({ width: WIDTH, height: HEIGHT })
+		);
+		const oled = new SSD1306(i2cBus, opts);
+		const pixel = (x, y) => panel.getPixel(x, y);
+
+		// lit pixels in a rectangle, read back from the virtual GDDRAM
+		const lit = (x0, y0, w, h) => {
+			let count = 0;
+			for (let y = y0; y < y0 + h; y++) {
+				for (let x = x0; x < x0 + w; x++) {
+					count += pixel(x, y);
+				}
+			}
+			return count;
+		};
+
+		await oled.clearDisplay(true);
+
+		// rectangles
+		await oled.drawRect(2, 2, 10, 6, 1);
+		check(lit(0, 0, 14, 10) === 28, 'drawRect outline is not 28 pixels');
+		check(!pixel(5, 4), 'drawRect filled its inside');
+
+		await oled.fillRoundRect(16, 2, 12, 8, 3, 1);
+		check(!pixel(16, 2) && !pixel(27, 9), 'fillRoundRect left its corners');
+		check(pixel(19, 2) && pixel(16, 5) && pixel(21, 5), 'fillRoundRect gap');
+
+		// circles and arcs are symmetric about their centre
+		await oled.drawCircle(40, 16, 5, 1);
+		check(
+			pixel(45, 16) && pixel(35, 16) && pixel(40, 11) && pixel(40, 21),
+			'drawCircle missed an extreme'
+		);
+		check(!pixel(40, 16) && !pixel(46, 16), 'drawCircle drew off the circle');
+
+		await oled.fillCircle(60, 16, 5, 1);
+		for (let y = 8; y <= 24; y++) {
+			for (let x = 52; x <= 68; x++) {
+				const d = Math.hypot(x - 60, y - 16);
+				check(!(d > 5.5 && pixel(x, y)), `fillCircle lit ${x},${y}`);
+				check(!(d < 4.5 && !pixel(x, y)), `fillCircle missed ${x},${y}`);
+			}
+		}
+
+		await oled.drawArc(80, 16, 6, 180, 360, 1);
+		check(pixel(80, 10) && pixel(74, 16), 'drawArc missed the top half');
+		check(!pixel(80, 22), 'drawArc drew the bottom half');
+
+		await oled.fillEllipse(100, 16, 8, 4, 1);
+		check(pixel(92, 16) && pixel(108, 16) && pixel(100, 12), 'fillEllipse');
+		check(!pixel(100, 10) && !pixel(93, 13), 'fillEllipse overflowed');
+
+		// triangles and polygons
+		await oled.fillTriangle(2, 30, 22, 30, 2, 50, 1);
+		check(pixel(4, 32) && !pixel(20, 48), 'fillTriangle');
+
+		await oled.fillPolygon(
+			[
+				[30, 30],
+				[39, 30],
+				[39, 39],
+				[30, 39],
+			],
+			1
+		);
+		check(lit(28, 28, 14, 14) === 100, 'fillPolygon square is not 10x10');
+
+		// draw modes: lit pixels only, unlit ones leave the buffer alone
+		oled.setDrawMode('xor');
+		await oled.fillRect(50, 30, 20, 10, 1);
+		await oled.fillRect(55, 32, 10, 6, 1);
+		check(!pixel(60, 35) && pixel(51, 31), 'xor did not invert');
+		await oled.fillRect(55, 32, 10, 6, 1);
+		check(lit(50, 30, 20, 10) === 200, 'xor twice did not restore');
+
+		oled.setDrawMode('clear');
+		await oled.fillRect(50, 30, 10, 10, 1);
+		check(lit(50, 30, 20, 10) === 100, 'clear did not turn pixels off');
+
+		oled.setDrawMode('set');
+		await oled.fillRect(60, 30, 10, 10, 0);
+		check(lit(50, 30, 20, 10) === 100, 'set drew an unlit pixel');
+		oled.setDrawMode('normal');
+
+		check(
+			panel.framebuffer().equals(oled.api.buffer),
+			'GDDRAM does not match the framebuffer'
+		);
+
+		console.log(panel.toAscii());
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
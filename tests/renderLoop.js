@@ -0,0 +1,153 @@
+import SSD1306 from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1306 from '../emulator/ssd1306.mjs';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	height: HEIGHT,
+	address: 0x3c,
+	driver: 'SSD1306',
+};
+
+const check = (ok, message) => {
+	if (!ok) {
+		throw new Error(message);
+	}
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// wait until the loop has drawn at least count frames
+const framesDrawn = async (loop, count) => {
+	for (let i = 0; i < 200 && loop.frames < count; i++) {
+		await sleep(10);
+	}
+	check(loop.frames >= count, `Loop stuck at ${loop.frames} frames`);
+};
+
+// data bytes sent since the last call, control bytes left out
+const dataSent = (i2cBus) => {
+	const bytes = i2cBus
+		.writesTo(opts.address)
+		.filter((bytes) => bytes[0] === 0x40)
+		.reduce((sum, bytes) => sum + bytes.length - 1, 0);
+	i2cBus.clearTransactions();
+	return bytes;
+};
+
+const initializeDisplay = async () => {
+	try {
+		const i2cBus = new EmulatedBus();
+		const panel = i2cBus.attach(
+			opts.address,
+			new VirtualSSD1306({ width: WIDTH, height: HEIGHT })
+		);
+		const oled = new SSD1306(i2cBus, opts);
+		const inSync = () => panel.framebuffer().equals(oled.api.buffer);
+
+		await oled.clearDisplay(true);
+		i2cBus.clearTransactions();
+
+		// frame diffing: the first frame goes out whole, then only a moving
+		// 4x8 block (two columns in, two out) changes
+		let loop = oled.startLoop(50, async (frame) => {
+			await oled.clearDisplay(false);
+			await oled.fillRect(Math.min(frame, 10) * 2, 0, 4, 8, 1);
+		});
+		await framesDrawn(loop, 1);
+		await sleep(5);
+		check(dataSent(i2cBus) === 1024, 'First frame was not sent whole');
+		await framesDrawn(loop, 3);
+		await sleep(5);
+		const moved = dataSent(i2cBus);
+		check(moved > 0 && moved <= 16, `Moving block sent ${moved} bytes`);
+
+		// the block stops moving after frame 10, still frames send nothing
+		await framesDrawn(loop, 13);
+		await sleep(5);
+		dataSent(i2cBus);
+		await framesDrawn(loop, loop.frames + 2);
+		check(dataSent(i2cBus) === 0, 'Unchanged frames were sent');
+		check(inSync(), 'GDDRAM does not match the framebuffer');
+
+		// a direct draw between frames is overwritten by the next frame
+		await oled.fillRect(100, 40, 10, 10, 1, true);
+		await framesDrawn(loop, loop.frames + 2);
+		check(!panel.getPixel(105, 45), 'Direct draw survived the next frame');
+		check(inSync(), 'GDDRAM does not match the framebuffer');
+
+		// stopping and redrawing outside the loop, then restarting with the
+		// same frame, puts the frame back on the panel
+		await loop.stop();
+		check(!loop.running && oled.loop === null, 'Loop did not stop');
+		await oled.clearDisplay(true);
+		loop = oled.startLoop(50, async () => {
+			await oled.clearDisplay(false);
+			await oled.fillRect(20, 0, 4, 8, 1);
+		});
+		await framesDrawn(loop, 1);
+		await sleep(5);
+		check(panel.getPixel(21, 0), 'Restarted loop left the panel blank');
+		check(inSync(), 'GDDRAM does not match the framebuffer');
+
+		// a stale handle only stops its own loop
+		const first = loop;
+		const second = oled.startLoop(50, () => {});
+		await first.stop();
+		check(
+			second.running && oled.loop === second,
+			'Stale stop() hit the new loop'
+		);
+		await second.stop();
+		check(!second.running, 'Loop did not stop');
+
+		// the frame rate is capped at fps
+		loop = oled.startLoop(20, () => {});
+		await sleep(1100);
+		await loop.stop();
+		check(
+			loop.frames >= 18 && loop.frames <= 24,
+			`${loop.frames} frames in 1.1s at 20 fps`
+		);
+		check(loop.fps > 15 && loop.fps <= 21, `Measured ${loop.fps} fps`);
+
+		// ticks that pass while a slow bus is still busy are skipped
+		const write = i2cBus.i2cWrite;
+		i2cBus.i2cWrite = async (...args) => {
+			await sleep(40);
+			return write(...args);
+		};
+		loop = oled.startLoop(100, async (frame) => {
+			await oled.fillRect(frame % WIDTH, 8, 1, 8, frame % 2);
+		});
+		await sleep(400);
+		await loop.stop();
+		i2cBus.i2cWrite = write;
+		check(loop.skipped > loop.frames, `Only ${loop.skipped} ticks skipped`);
+		check(inSync(), 'GDDRAM does not match the framebuffer');
+
+		// a throwing drawFn ends the loop and rejects loop.done
+		loop = oled.startLoop(50, (frame) => {
+			if (frame === 2) {
+				throw new Error('Draw failed');
+			}
+		});
+		let error = null;
+		try {
+			await loop.done;
+		} catch (err) {
+			error = err;
+		}
+		check(error && error.message === 'Draw failed', 'loop.done did not reject');
+		check(!loop.running && oled.loop === null, 'Failed loop kept running');
+
+		console.log(panel.toAscii());
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
@@ -0,0 +1,120 @@
+import Oled from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1306 from '../emulator/ssd1306.mjs';
+import VirtualSH1106 from '../emulator/sh1106.mjs';
+import font from 'oled-font-pack';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	height: HEIGHT,
+	address: 0x3c,
+};
+
+const drivers = [
+	['SSD1306', VirtualSSD1306],
+	['SH1106', VirtualSH1106],
+];
+
+// where a pixel drawn at x, y shows on the glass, the module mounted so
+// that rotation 0 reads upright
+const expected = {
+	0: (x, y) => [x, y],
+	90: (x, y) => [WIDTH - 1 - y, x],
+	180: (x, y) => [WIDTH - 1 - x, HEIGHT - 1 - y],
+	270: (x, y) => [y, HEIGHT - 1 - x],
+};
+
+const check = (ok, message) => {
+	if (!ok) {
+		throw new Error(message);
+	}
+};
+
+// the single lit pixel, as seen on the glass through the controller's
+// segment remap and COM scan direction
+const litOnGlass = (panel) => {
+	const lit = [];
+	for (let y = 0; y < HEIGHT; y++) {
+		for (let x = 0; x < WIDTH; x++) {
+			if (panel.getPixel(x, y)) {
+				lit.push([
+					panel.segRemap ? x : WIDTH - 1 - x,
+					panel.comScanDec ? y : HEIGHT - 1 - y,
+				]);
+			}
+		}
+	}
+	check(lit.length === 1, `${lit.length} pixels lit instead of 1`);
+	return lit[0];
+};
+
+const initializeDisplay = async () => {
+	try {
+		for (const [driver, Controller] of drivers) {
+			for (const rotation of [0, 90, 180, 270]) {
+				const label = `${driver} at ${rotation}`;
+				const i2cBus = new EmulatedBus();
+				const panel = i2cBus.attach(
+					opts.address,
+					new Controller({ width: WIDTH, height: HEIGHT })
+				);
+				const oled = new Oled(i2cBus, { ...opts, driver, rotation });
+
+				const sideways = rotation % 180 !== 0;
+				check(
+					oled.api.WIDTH === (sideways ? HEIGHT : WIDTH),
+					`${label} has the wrong drawing width`
+				);
+
+				await oled.clearDisplay(true);
+				await oled.drawPixel([[5, 2, 1]], true);
+				const glass = litOnGlass(panel);
+				check(
+					JSON.stringify(glass) === JSON.stringify(expected[rotation](5, 2)),
+					`${label} shows 5,2 at ${glass}`
+				);
+
+				// text and lines reach the panel unchanged in any orientation
+				await oled.drawLine(0, 0, oled.api.WIDTH - 1, 20, 1, false);
+				await oled.setCursor(2, 24);
+				await oled.writeString(font.oled_5x7, 1, 'Turn', 1, false, true);
+				if (!panel.framebuffer().equals(oled.api.buffer)) {
+					throw new Error(`${label} GDDRAM does not match the framebuffer`);
+				}
+			}
+
+			// turning and mirroring at runtime only sends the orientation
+			const i2cBus = new EmulatedBus();
+			const panel = i2cBus.attach(
+				opts.address,
+				new Controller({ width: WIDTH, height: HEIGHT })
+			);
+			const oled = new Oled(i2cBus, { ...opts, driver });
+			await oled.clearDisplay(true);
+			await oled.drawPixel([[5, 2, 1]], true);
+
+			await oled.setRotation(180);
+			check(
+				JSON.stringify(litOnGlass(panel)) ===
+					JSON.stringify(expected[180](5, 2)),
+				`${driver} setRotation(180) did not turn the glass`
+			);
+			await oled.setRotation(0);
+			await oled.setMirror(true, false);
+			check(
+				JSON.stringify(litOnGlass(panel)) ===
+					JSON.stringify([WIDTH - 1 - 5, 2]),
+				`${driver} setMirror did not mirror horizontally`
+			);
+
+			console.log(`${driver}: every rotation matches`);
+		}
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
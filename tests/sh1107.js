@@ -0,0 +1,69 @@
+import Oled from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSH1107 from '../emulator/sh1107.mjs';
+import font from 'oled-font-pack';
+
+const opts = {
+	address: 0x3c,
+	driver: 'SH1107',
+};
+
+// each panel size with the multiplex ratio and display offset it needs
+const sizes = [
+	{ width: 64, height: 128, multiplex: 0x3f, displayoffset: 0x60 },
+	{ width: 128, height: 128, multiplex: 0x7f, displayoffset: 0x00 },
+];
+
+const check = (ok, message) => {
+	if (!ok) {
+		throw new Error(message);
+	}
+};
+
+const initializeDisplay = async () => {
+	try {
+		for (const { width, height, multiplex, displayoffset } of sizes) {
+			const i2cBus = new EmulatedBus();
+			const panel = i2cBus.attach(
+				opts.address,
+				new VirtualSH1107({ width, height })
+			);
+			// the FeatherWing size is the default
+			const oled = new Oled(
+				i2cBus,
+				width === 64 ? opts : { ...opts, width, height }
+			);
+			check(
+				oled.api.WIDTH === width && oled.api.HEIGHT === height,
+				`Expected a ${width}x${height} screen`
+			);
+
+			await oled.clearDisplay(true);
+			await oled.drawLine(0, 0, width - 1, height - 1, 1, false);
+			await oled.setCursor(4, 60);
+			await oled.writeString(font.oled_5x7, 2, 'SH1107', 1, false, true);
+
+			check(panel.multiplex === multiplex, `${width}x${height} multiplex`);
+			check(
+				panel.displayOffset === displayoffset,
+				`${width}x${height} display offset`
+			);
+			check(panel.displayOn, 'Display is off');
+
+			if (!panel.framebuffer().equals(oled.api.buffer)) {
+				throw new Error(
+					`${width}x${height} GDDRAM does not match the framebuffer`
+				);
+			}
+
+			console.log(
+				`${width}x${height}: ${i2cBus.transactions.length} transactions`
+			);
+		}
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
@@ -0,0 +1,39 @@
+import i2c from 'i2c-bus';
+import SSD1306 from '../oled.mjs';
+import font from 'oled-font-pack';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	height: HEIGHT,
+	address: 0x3c,
+	bus: 3,
+	driver: 'SH1106',
+};
+
+const initializeDisplay = async () => {
+	try {
+		const i2cBus = await i2c.openPromisified(opts.bus || 3);
+		const oled = new SSD1306(i2cBus, opts);
+
+		await oled.clearDisplay(true);
+
+		await oled.setCursor(10, 4);
+		await oled.writeString(font.oled_5x7, 1, 'Snapshot', 1, false, false);
+		await oled.fillRect(10, 20, 40, 30, 1, false);
+		await oled.drawLine(60, 20, WIDTH - 10, HEIGHT - 10, 1, true);
+
+		await oled.saveSnapshot('snapshot.png', { scale: 4 });
+		await oled.saveSnapshot('snapshot-yellow-blue.png', {
+			scale: 4,
+			color: 'yellow-blue',
+		});
+		await oled.saveSnapshot('snapshot-mono.png', { format: 'mono' });
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
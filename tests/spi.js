@@ -0,0 +1,82 @@
+import Oled from '../oled.mjs';
+import SPITransport from '../transports/spi.mjs';
+import EmulatedSpiDevice from '../emulator/spi-device.mjs';
+import VirtualSSD1306 from '../emulator/ssd1306.mjs';
+import VirtualSH1106 from '../emulator/sh1106.mjs';
+import font from 'oled-font-pack';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+
+const check = (ok, message) => {
+	if (!ok) {
+		throw new Error(message);
+	}
+};
+
+// the same drawing over SPI, for each controller the transport drives
+const drivers = [
+	['SSD1306', VirtualSSD1306],
+	['SH1106', VirtualSH1106],
+];
+
+const initializeDisplay = async () => {
+	try {
+		for (const [driver, Controller] of drivers) {
+			const panel = new Controller({ width: WIDTH, height: HEIGHT });
+			const device = new EmulatedSpiDevice(panel);
+			let resets = 0;
+			const transport = new SPITransport(device, {
+				dc: device.dc,
+				reset: (level) => {
+					resets += level ? 0 : 1;
+					device.reset(level);
+				},
+				maxTransferSize: 256,
+			});
+			const oled = new Oled(null, {
+				width: WIDTH,
+				height: HEIGHT,
+				driver,
+				transport,
+			});
+
+			await oled.clearDisplay(true);
+			await oled.drawLine(0, 0, WIDTH - 1, HEIGHT - 1, 1, false);
+			await oled.setCursor(10, 10);
+			await oled.writeString(font.oled_5x7, 2, 'SPI', 1, false, true);
+
+			// the reset line is pulsed once before the init sequence, which
+			// goes out with DC low and turns the display on
+			const [init] = device.transfers;
+			check(resets === 1, `${driver} was reset ${resets} times`);
+			check(
+				init.dc === 0 && init.bytes[0] === 0xae,
+				`${driver} did not start with the init sequence`
+			);
+			check(panel.displayOn, `${driver} display is off`);
+
+			// commands with DC low, framebuffer data with DC high, and no
+			// transfer over the limit
+			check(
+				device.transfers.every((t) => t.bytes.length <= 256),
+				`${driver} transfer over maxTransferSize`
+			);
+			check(
+				device.transfers.some((t) => t.dc === 1),
+				`${driver} sent no data`
+			);
+
+			if (!panel.framebuffer().equals(oled.api.buffer)) {
+				throw new Error(`${driver} GDDRAM does not match the framebuffer`);
+			}
+
+			console.log(`${driver}: ${device.transfers.length} transfers`);
+		}
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
@@ -0,0 +1,71 @@
+import Oled from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1305 from '../emulator/ssd1305.mjs';
+import font from 'oled-font-pack';
+
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	address: 0x3c,
+	driver: 'SSD1305',
+};
+
+const check = (ok, message) => {
+	if (!ok) {
+		throw new Error(message);
+	}
+};
+
+const initializeDisplay = async () => {
+	try {
+		for (const height of [32, 64]) {
+			const i2cBus = new EmulatedBus();
+			const panel = i2cBus.attach(
+				opts.address,
+				new VirtualSSD1305({ width: WIDTH, height })
+			);
+			const oled = new Oled(i2cBus, { ...opts, height });
+
+			await oled.clearDisplay(true);
+			await oled.drawLine(0, 0, WIDTH - 1, height - 1, 1, false);
+			await oled.setCursor(10, 10);
+			await oled.writeString(font.oled_5x7, 2, 'SSD1305', 1, false, true);
+
+			// external VCC through the master configuration, no charge pump
+			const opcodes = panel.commands.map((cmd) => cmd[0]);
+			check(
+				panel.commands.some((cmd) => cmd[0] === 0xad && cmd[1] === 0x8e),
+				'External VCC was not selected'
+			);
+			check(!opcodes.includes(0x8d), 'Charge pump command sent');
+			check(
+				panel.commands.some((cmd) => cmd[0] === 0xa8 && cmd[1] === height - 1),
+				`Multiplex not set for ${height} rows`
+			);
+
+			// the glass starts at RAM column 4, nothing lands left of it
+			check(
+				i2cBus
+					.writesTo(opts.address)
+					.some((bytes) => bytes[1] === 0x21 && bytes[2] === 4),
+				'Column window does not start at 4'
+			);
+			for (let page = 0; page < height / 8; page++) {
+				for (let col = 0; col < 4; col++) {
+					check(!panel.readRam(page, col), 'Drew left of the glass');
+				}
+			}
+
+			if (!panel.framebuffer().equals(oled.api.buffer)) {
+				throw new Error(`128x${height} GDDRAM does not match the framebuffer`);
+			}
+
+			console.log(panel.toAscii());
+		}
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
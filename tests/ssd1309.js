@@ -0,0 +1,55 @@
+import Oled from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1309 from '../emulator/ssd1309.mjs';
+import font from 'oled-font-pack';
+
+const HEIGHT = 64;
+const WIDTH = 128;
+const opts = {
+	width: WIDTH,
+	height: HEIGHT,
+	address: 0x3c,
+	driver: 'SSD1309',
+};
+
+const check = (ok, message) => {
+	if (!ok) {
+		throw new Error(message);
+	}
+};
+
+const initializeDisplay = async () => {
+	try {
+		const i2cBus = new EmulatedBus();
+		const panel = i2cBus.attach(
+			opts.address,
+			new VirtualSSD1309({ width: WIDTH, height: HEIGHT })
+		);
+		const oled = new Oled(i2cBus, opts);
+
+		await oled.clearDisplay(true);
+		await oled.drawLine(0, 0, WIDTH - 1, HEIGHT - 1, 1, false);
+		await oled.setCursor(10, 10);
+		await oled.writeString(font.oled_5x7, 2, 'SSD1309', 1, false, true);
+
+		// unlocked first, external VCC so no charge pump
+		const opcodes = panel.commands.map((cmd) => cmd[0]);
+		check(
+			JSON.stringify(panel.commands[0]) === JSON.stringify([0xfd, 0x12]),
+			'Command interface was not unlocked first'
+		);
+		check(!opcodes.includes(0x8d), 'Charge pump command sent');
+		check(panel.displayOn, 'Display is off');
+
+		if (!panel.framebuffer().equals(oled.api.buffer)) {
+			throw new Error('GDDRAM does not match the framebuffer');
+		}
+
+		console.log(panel.toAscii());
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
@@ -0,0 +1,77 @@
+import Oled from '../oled.mjs';
+import EmulatedBus from '../emulator/bus.mjs';
+import VirtualSSD1327 from '../emulator/ssd1327.mjs';
+import font from 'oled-font-pack';
+
+const opts = {
+	address: 0x3c,
+	driver: 'SSD1327',
+};
+
+const check = (ok, message) => {
+	if (!ok) {
+		throw new Error(message);
+	}
+};
+
+const initializeDisplay = async () => {
+	try {
+		const i2cBus = new EmulatedBus();
+		const panel = i2cBus.attach(opts.address, new VirtualSSD1327());
+		// 128x128 without a size given
+		const oled = new Oled(i2cBus, opts);
+		check(
+			oled.api.WIDTH === 128 && oled.api.HEIGHT === 128,
+			'Did not default to 128x128'
+		);
+
+		await oled.clearDisplay(true);
+
+		// two pixels per byte, the left one in the high nibble
+		await oled.drawPixel(
+			[
+				[0, 0, 15],
+				[1, 0, 3],
+				[2, 1, 'WHITE'],
+			],
+			true
+		);
+		check(oled.api.buffer[0] === 0xf3, 'Left pixel is not the high nibble');
+		check(oled.api.buffer[64 + 1] === 0xf0, 'Rows are not 64 bytes apart');
+		check(
+			panel.getPixel(0, 0) === 15 && panel.getPixel(1, 0) === 3,
+			'Gray levels did not reach the panel'
+		);
+
+		// luminance picks the level: white, mid gray, pure blue, transparent
+		const image = {
+			width: 4,
+			height: 1,
+			data: Buffer.from([
+				255, 255, 255, 255, 128, 128, 128, 255, 0, 0, 255, 255, 255, 255, 255,
+				0,
+			]),
+		};
+		await oled.drawRGBAImage(image, 10, 10, true);
+		const levels = [10, 11, 12, 13].map((x) => panel.getPixel(x, 10));
+		check(
+			JSON.stringify(levels) === JSON.stringify([15, 8, 2, 0]),
+			`Luminance mapped to ${levels}`
+		);
+
+		await oled.fillRect(20, 20, 30, 30, 8, false);
+		await oled.setCursor(24, 60);
+		await oled.writeString(font.oled_5x7, 2, 'Gray', 12, false, true);
+
+		if (!panel.framebuffer().equals(oled.api.buffer)) {
+			throw new Error('GDDRAM does not match the framebuffer');
+		}
+
+		console.log(panel.toAscii());
+	} catch (err) {
+		console.log(err.message);
+		process.exit(1);
+	}
+};
+
+initializeDisplay();
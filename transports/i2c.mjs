@@ -0,0 +1,96 @@
+import BusLock from './lock.mjs';
+import TCA9548A from './tca9548a.mjs';
+
+// Sends commands and data to a display over an i2c-bus PromisifiedBus.
+// Every transaction starts with a control byte: 0x00 for commands, 0x40
+// for data.
+class I2CTransport {
+	constructor(wire, address, opts = {}) {
+		this.wire = wire;
+		// shared with every other transport on the same bus
+		this.lock = BusLock.forBus(wire);
+		this.ADDRESS = address;
+		// bytes per i2cWrite, control byte included. Some adapters only take
+		// 32 byte transfers, the Pi handles far more.
+		this.MAX_TRANSFER_SIZE = opts.maxTransferSize || 4096;
+
+		if (this.MAX_TRANSFER_SIZE < 2) {
+			throw new Error('I2C max transfer size is too small');
+		}
+
+		// display behind a TCA9548A channel, { address: 0x70, channel }
+		this.mux = null;
+		if (opts.mux) {
+			this.mux = TCA9548A.forBus(wire, opts.mux.address);
+			this.MUX_CHANNEL = opts.mux.channel;
+
+			if (!this.mux.isChannel(this.MUX_CHANNEL)) {
+				throw new Error('Invalid Mux Channel');
+			}
+		}
+
+		this.CONTROL_CMD = 0x00;
+		this.CONTROL_DATA = 0x40;
+	}
+
+	// send command bytes as one stream, parameters included
+	command = async (bytes) => {
+		await this._send(this.CONTROL_CMD, bytes);
+	};
+
+	// send data bytes as one stream
+	data = async (bytes) => {
+		await this._send(this.CONTROL_DATA, bytes);
+	};
+
+	// read the status byte
+	read = async () => {
+		await this._selectChannel();
+
+		const buffer = Buffer.alloc(1);
+		const { bytesRead, buffer: data } = await this.wire.i2cRead(
+			this.ADDRESS,
+			1,
+			buffer
+		);
+		return bytesRead > 0 ? data[0] : 0;
+	};
+
+	// I2C modules have no reset line wired
+	reset = async () => {};
+
+	/* ##################################################################################################
+	 * Private utilities
+	 * ##################################################################################################
+	 */
+
+	// route a muxed bus to this display's channel
+	_selectChannel = async () => {
+		if (this.mux) {
+			await this.mux.select(this.MUX_CHANNEL);
+		}
+	};
+
+	// write bytes behind a control byte (Co clear, so the rest of the
+	// transaction is all commands or all data), in chunks of at most
+	// MAX_TRANSFER_SIZE bytes. The controller keeps its place between chunks.
+	_send = async (control, bytes) => {
+		const chunkSize = this.MAX_TRANSFER_SIZE - 1;
+
+		await this._selectChannel();
+
+		for (let i = 0; i < bytes.length; i += chunkSize) {
+			const bufferForSend = Buffer.concat([
+				Buffer.from([control]),
+				Buffer.from(bytes.slice(i, i + chunkSize)),
+			]);
+			await this.wire.i2cWrite(
+				this.ADDRESS,
+				bufferForSend.length,
+				bufferForSend
+			);
+		}
+	};
+}
+
+export default I2CTransport;
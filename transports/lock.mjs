@@ -0,0 +1,49 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// locks held by the current async call chain
+const held = new AsyncLocalStorage();
+
+// one lock per bus handle, shared by every display on that bus
+const locks = new WeakMap();
+
+// Serialises access to a bus. Operations queue up and run one at a time,
+// so a multi-step sequence (address window, then data) can not be split by
+// another caller. The lock is re-entrant within one async call chain, so
+// a locked operation can call other locked operations.
+class BusLock {
+	constructor() {
+		this._tail = Promise.resolve();
+	}
+
+	// the lock shared by everything using this bus handle
+	static forBus = (bus) => {
+		if (!locks.has(bus)) {
+			locks.set(bus, new BusLock());
+		}
+		return locks.get(bus);
+	};
+
+	// run fn once every earlier operation has finished, resolves with its result
+	run = async (fn) => {
+		const holding = held.getStore() || [];
+		if (holding.includes(this)) {
+			// already inside this lock further up the call chain
+			return fn();
+		}
+
+		const previous = this._tail;
+		let release;
+		this._tail = new Promise((resolve) => {
+			release = resolve;
+		});
+
+		await previous;
+		try {
+			return await held.run([...holding, this], fn);
+		} finally {
+			release();
+		}
+	};
+}
+
+export default BusLock;
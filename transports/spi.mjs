@@ -0,0 +1,97 @@
+import BusLock from './lock.mjs';
+
+// Sends commands and data to a display over 4-wire SPI. The device is an
+// spi-device style object (`transfer(messages, callback)`), the DC and
+// RESET lines are driven through callbacks taking 0 or 1, so any GPIO
+// library can be plugged in (e.g. `(value) => dcPin.write(value)`).
+class SPITransport {
+	constructor(device, opts = {}) {
+		this.device = device;
+		// shared with every other transport on the same bus
+		this.lock = BusLock.forBus(device);
+		this.dc = opts.dc;
+		this.resetPin = opts.reset;
+		this.SPEED_HZ = opts.speedHz || 8000000;
+		// spidev refuses transfers larger than its buffer (4096 bytes by default)
+		this.MAX_TRANSFER_SIZE = opts.maxTransferSize || 4096;
+
+		if (typeof this.dc !== 'function') {
+			throw new Error('SPI transport needs a DC callback');
+		}
+
+		this._dcLevel = null;
+	}
+
+	// send command bytes with DC low
+	command = async (bytes) => {
+		await this._setDC(0);
+		await this._send(bytes);
+	};
+
+	// send data bytes with DC high
+	data = async (bytes) => {
+		await this._setDC(1);
+		await this._send(bytes);
+	};
+
+	// the modules are write only over SPI, never report busy
+	read = async () => {
+		return 0;
+	};
+
+	// pulse the RESET line if one is wired
+	reset = async () => {
+		if (typeof this.resetPin !== 'function') {
+			return;
+		}
+		await this.resetPin(1);
+		await this._sleep(1);
+		await this.resetPin(0);
+		await this._sleep(10);
+		await this.resetPin(1);
+		await this._sleep(10);
+	};
+
+	/* ##################################################################################################
+	 * Private utilities
+	 * ##################################################################################################
+	 */
+
+	// only toggle the DC line when it changes
+	_setDC = async (level) => {
+		if (this._dcLevel !== level) {
+			await this.dc(level);
+			this._dcLevel = level;
+		}
+	};
+
+	// transfer bytes, split into chunks the SPI driver accepts
+	_send = async (bytes) => {
+		const buffer = Buffer.from(bytes);
+
+		for (let i = 0; i < buffer.length; i += this.MAX_TRANSFER_SIZE) {
+			const sendBuffer = buffer.subarray(i, i + this.MAX_TRANSFER_SIZE);
+			const message = {
+				sendBuffer,
+				byteLength: sendBuffer.length,
+				speedHz: this.SPEED_HZ,
+			};
+
+			await new Promise((resolve, reject) => {
+				this.device.transfer([message], (err) => {
+					if (err) {
+						reject(err);
+					} else {
+						resolve();
+					}
+				});
+			});
+		}
+	};
+
+	_sleep = (ms) => {
+		return new Promise((resolve) => setTimeout(resolve, ms));
+	};
+}
+
+export default SPITransport;
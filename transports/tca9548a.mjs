@@ -0,0 +1,60 @@
+// one mux per bus handle and address, shared by every display behind it
+const muxes = new WeakMap();
+
+// TCA9548A/PCA9548A I2C multiplexer. Writing the control register enables
+// a downstream channel; the selection is cached so consecutive
+// transactions on the same channel skip the extra write. Callers hold the
+// bus lock, so selecting and the following transaction can not be split.
+class TCA9548A {
+	constructor(wire, address = 0x70) {
+		this.wire = wire;
+		this.ADDRESS = address;
+		this.CHANNEL_COUNT = 8;
+
+		// unknown until the first select
+		this.channel = null;
+	}
+
+	// the mux at address on this bus handle
+	static forBus = (wire, address = 0x70) => {
+		if (!muxes.has(wire)) {
+			muxes.set(wire, new Map());
+		}
+		const busMuxes = muxes.get(wire);
+		if (!busMuxes.has(address)) {
+			busMuxes.set(address, new TCA9548A(wire, address));
+		}
+		return busMuxes.get(address);
+	};
+
+	// route the bus to a channel, a no-op when it is already selected
+	select = async (channel) => {
+		if (!this.isChannel(channel)) {
+			throw new Error('Invalid Mux Channel');
+		}
+		if (this.channel === channel) {
+			return;
+		}
+
+		// forget the selection if the write fails, the mux state is unknown
+		this.channel = null;
+		const bufferForSend = Buffer.from([1 << channel]);
+		await this.wire.i2cWrite(this.ADDRESS, 1, bufferForSend);
+		this.channel = channel;
+	};
+
+	// is channel one of the mux's downstream channels?
+	isChannel = (channel) => {
+		return (
+			Number.isInteger(channel) && channel >= 0 && channel < this.CHANNEL_COUNT
+		);
+	};
+
+	// force the next select to write the control register, e.g. after
+	// something else on the bus touched the mux
+	invalidate = () => {
+		this.channel = null;
+	};
+}
+
+export default TCA9548A;